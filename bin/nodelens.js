@@ -13,10 +13,12 @@ import {
     createDefaultConfigFile,
     removeConfigFile,
     resetConfigFile,
+    validateConfigFile,
     clearLogFile
 } from "../src/commands.js";
 
 import { startWatcher } from "../src/watcher.js";
+import { isCommandEntry } from "../src/utils/exec.js";
 
 // ================ ARGUMENT PARSING ================
 
@@ -31,6 +33,13 @@ if (args.length === 0) {
     process.exit(0);
 }
 
+// Unknown flags and bad flag values
+if (cmd.type === "invalid") {
+    log.error(cmd.error);
+    log.info("Run \x1b[36mnodelens help\x1b[0m to see all options.");
+    process.exit(1);
+}
+
 // ──────────────── Help / Version ────────────────
 
 if (cmd.type === "help") {
@@ -47,7 +56,7 @@ if (cmd.type === "version") {
 
 // Create default config file if missing
 if (cmd.type === "config-init") {
-    createDefaultConfigFile();
+    createDefaultConfigFile(cmd.format);
     process.exit(0);
 }
 
@@ -63,6 +72,11 @@ if (cmd.type === "config-reset") {
     process.exit(0);
 }
 
+// Check config file against the schema, failing on any problem
+if (cmd.type === "config-validate") {
+    process.exit(await validateConfigFile(cmd.config) ? 0 : 1);
+}
+
 // ──────────────── Logs ────────────────
 
 // Clear all stored logs from the log file
@@ -73,17 +87,32 @@ if (cmd.type === "clear-logs") {
 
 // ================ MAIN COMMAND: RUN ================
 
-// Run the file watcher for the specified entry file
+// Run the file watcher for the specified entry file or command
 if (cmd.type === "run") {
-    const entryPath = path.resolve(cmd.entry);
+    // Commands and --exec runs may not point to a file, so only plain entries are validated
+    const needsFile = cmd.entry && !cmd.exec && !isCommandEntry(cmd.entry);
 
     // Validate entry path existence
-    if (!fs.existsSync(entryPath)) {
+    if (needsFile && !fs.existsSync(path.resolve(cmd.entry))) {
         log.error(`Entry file or command not found: "${cmd.entry}"`);
         printHelp();
         process.exit(1);
     }
 
+    // An explicit config must exist, a typo shouldn't silently fall back to another source
+    if (cmd.config && !fs.existsSync(path.resolve(cmd.config))) {
+        log.error(`Config file not found: "${cmd.config}"`);
+        process.exit(1);
+    }
+
     // Start watching the project files for changes
-    startWatcher(cmd.entry);
+    startWatcher(cmd.entry, {
+        exec: cmd.exec,
+        scriptArgs: cmd.scriptArgs,
+        config: cmd.config,
+        noConfig: cmd.noConfig,
+        profile: cmd.profile,
+        ignore: cmd.ignore,
+        settings: cmd.settings
+    });
 }
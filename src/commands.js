@@ -5,34 +5,117 @@ import path from "path";
 import readline from "readline/promises";
 import { stdin as input, stdout as output } from "node:process";
 import { log, setLogStyle } from "./utils/logger.js";
+import { findUp } from "./utils/filesystem.js";
+import { formatProblem, suggestName, validateConfig } from "./schema.js";
 import { createRequire } from "module";
+import { pathToFileURL } from "url";
 
 const require = createRequire(import.meta.url);
 const pkg = require("../package.json");
 
 // ================ CONSTANTS ================
 
-const CONFIG_DIR = ".nodelens";
-const CONFIG_FILENAME = "nl.config.json";
-const LOG_FILENAME = "nodelens.txt";
+export const CONFIG_DIR = ".nodelens";
+export const CONFIG_FILENAME = "nl.config.json";
+export const LOG_FILENAME = "nodelens.txt";
+
+// JavaScript config files, looked up in the project directory
+export const JS_CONFIG_FILENAMES = ["nodelens.config.js", "nodelens.config.mjs"];
+
+// Key holding the config inside package.json
+export const PACKAGE_CONFIG_KEY = "nodelens";
+
+// Files/folders marking a project root, the nearest one above the entry wins
+export const PROJECT_ROOT_MARKERS = [CONFIG_DIR, ...JS_CONFIG_FILENAMES, "package.json"];
+
+// Formats `config init` can scaffold
+export const CONFIG_FORMATS = ["json", "js", "mjs", "package"];
+
+// Column the help view lines descriptions up at
+const HELP_WIDTH = 29;
+
+/**
+ * Flags of the run command, also used to generate the help view
+ * - `setting`: config key the flag overrides (layered on top of the config source)
+ * - `field`: parsed command field the flag sets instead
+ * - `command`: command the flag runs (e.g. --help)
+ * - `value`: placeholder for the flag's value, flags without one are switches
+ * - `type`: "string" (default), "ms" (whole milliseconds) or "list" (repeatable)
+ */
+export const CLI_OPTIONS = [
+    { flag: "--exec", alias: "-x", value: "<template>", field: "exec", description: "Runner template, e.g. \"tsx {entry}\"" },
+    { flag: "--config", alias: "-c", value: "<path>", field: "config", description: "Uses this config file instead of looking one up" },
+    { flag: "--no-config", field: "noConfig", description: "Skips config files (defaults and flags only)" },
+    { flag: "--profile", alias: "-p", value: "<name>", field: "profile", description: "Applies a profile from the config's profiles" },
+    { flag: "--watch", alias: "-w", value: "<path>", type: "list", setting: "watch", description: "Watches only this path (repeatable), or all/graph" },
+    { flag: "--ignore", alias: "-i", value: "<pattern>", type: "list", field: "ignore", description: "Ignores this pattern too (repeatable)" },
+    { flag: "--debounce", alias: "-d", value: "<ms>", type: "ms", setting: "debounceDelay", description: "Waits this long for more changes" },
+    { flag: "--restart-delay", value: "<ms>", type: "ms", setting: "restartDelay", description: "Waits this long before each restart" },
+    { flag: "--silent", alias: "-s", setting: "silentLogs", description: "Hides logs except errors and warnings" },
+    { flag: "--save-logs", setting: "saveLogs", description: "Saves logs to .nodelens/nodelens.txt" },
+    { flag: "--timestamp", alias: "-t", setting: "logTimestamp", description: "Adds timestamps to logs" },
+    { flag: "--help", alias: "-h", command: "help", description: "Shows this help view" },
+    { flag: "--version", alias: "-v", command: "version", description: "Shows version" }
+];
 
 // Default configuration settings used for initialization and reset
 export const DEFAULT_CONFIG = {
+    exec: "node {entry}",
+    execMap: {},
+    nodeArgs: [],
+    env: {},
     watch: "all",
     ignore: ["node_modules", ".git", "dist", "build", "temp", "logs"],
+    ignoreFiles: [".gitignore", ".nodelens/.nodelensignore"],
     debounceDelay: 225,
     restartDelay: 0,
+    contentHash: false,
+    rules: [],
+    prestart: [],
+    events: {},
+    ready: null,
+    zeroDowntime: false,
+    watcherOptions: {
+        usePolling: "auto",
+        interval: 100,
+        binaryInterval: 300,
+        awaitWriteFinish: false,
+        followSymlinks: true,
+        depth: null
+    },
+    killSignal: "SIGTERM",
+    killTimeout: 5000,
+    restartOnCrash: "never",
+    crashRestartDelay: 1000,
+    crashRestartMaxDelay: 30000,
+    crashLimit: 5,
+    crashWindow: 60000,
     logLabel: true,
     logTimestamp: false,
     silentLogs: false,
-    saveLogs: false
+    saveLogs: false,
+    captureOutput: false,
+    stdin: "ignore",
+    commandPrefix: "",
+    profiles: {}
 };
 
 // ================ PATH HELPERS ================
 
+/**
+ * Finds the project root: the nearest folder at or above `startDir` with .nodelens/,
+ * a nodelens.config.* or package.json; `startDir` itself when there is none
+ * Config, logs and watching are all anchored there
+ * @param {string} [startDir] - usually the entry file's folder
+ * @returns {string} absolute path
+ */
+export function resolveProjectRoot(startDir = process.cwd()) {
+    return findUp(startDir, PROJECT_ROOT_MARKERS) ?? path.resolve(startDir);
+}
+
 // Get full directory path of .nodelens/
 function getConfigDir() {
-    return path.join(process.cwd(), CONFIG_DIR);
+    return path.join(resolveProjectRoot(), CONFIG_DIR);
 }
 
 // Get absolute path to nl.config.json
@@ -47,20 +130,124 @@ function getLogPath() {
 
 // ================ COMMAND PARSER ================
 
+// Marks the parsed command as invalid, bin/nodelens.js prints the message and exits
+function invalidCommand(cmd, message) {
+    cmd.type = "invalid";
+    cmd.error = message;
+    return cmd;
+}
+
+// Explains an unknown flag, suggesting the closest known one
+function describeUnknownFlag(name) {
+    // Short aliases are all one edit apart, so only long flags get suggestions
+    const suggestion = name.startsWith("--") ? suggestName(name, CLI_OPTIONS.map(option => option.flag)) : null;
+
+    return `Unknown option "${name}". ` + (suggestion
+        ? `Did you mean ${suggestion}?`
+        : "Arguments for the entry go after -- (e.g. nodelens app.js -- --port 4000).");
+}
+
+// Stores a flag's value on the parsed command, returns an error message for bad values
+function applyOption(cmd, option, value) {
+    if (option.type === "ms") {
+        const ms = Number(value);
+
+        if (value.trim() === "" || !Number.isInteger(ms) || ms < 0) {
+            return `${option.flag} expects a whole number of milliseconds, got "${value}".`;
+        }
+
+        value = ms;
+    }
+
+    const target = option.setting ? cmd.settings : cmd;
+    const key = option.setting ?? option.field;
+
+    target[key] = option.type === "list" ? [...(target[key] ?? []), value] : value;
+    return null;
+}
+
 /**
  * Parse CLI arguments and map them to command objects
+ * Flags come from CLI_OPTIONS; unknown flags make the command "invalid" with an `error` message
  * @param {Array<string>} args
- * @returns {{type: string, entry: string}}
+ * @returns {{type: string, entry: string|null, exec: string|null, config: string|null, noConfig: boolean,
+ * profile: string|null, ignore: Array<string>, settings: object, scriptArgs: Array<string>, error?: string}}
  */
 export function parseCommands(args) {
     const cmd = {
         type: "run",
-        entry: "index.js"
+        entry: "index.js",
+        exec: null,
+        config: null,
+        noConfig: false,
+        profile: null,
+        ignore: [],
+        settings: {},
+        format: null,
+        scriptArgs: []
     };
 
     if (!args || args.length === 0) return cmd;
 
-    const [first, second] = args;
+    // Extract run flags before resolving the subcommand/entry
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        // Everything after `--` is passed to the child untouched
+        if (arg === "--") {
+            cmd.scriptArgs = args.slice(i + 1);
+            break;
+        }
+
+        if (!arg.startsWith("-") || arg === "-") {
+            positional.push(arg);
+            continue;
+        }
+
+        // Long flags may carry their value inline: --debounce=500
+        const equals = arg.startsWith("--") ? arg.indexOf("=") : -1;
+        const name = equals === -1 ? arg : arg.slice(0, equals);
+        const option = CLI_OPTIONS.find(o => o.flag === name || o.alias === name);
+
+        if (!option) return invalidCommand(cmd, describeUnknownFlag(name));
+
+        if (option.command) {
+            cmd.type = option.command;
+            return cmd;
+        }
+
+        let value = true;
+
+        if (option.value) {
+            value = equals === -1 ? args[++i] : arg.slice(equals + 1);
+            if (value === undefined) return invalidCommand(cmd, `${option.flag} needs a value: ${option.flag} ${option.value}`);
+        } else if (equals !== -1) {
+            return invalidCommand(cmd, `${option.flag} doesn't take a value.`);
+        }
+
+        const error = applyOption(cmd, option, value);
+        if (error) return invalidCommand(cmd, error);
+    }
+
+    if (cmd.config && cmd.noConfig) {
+        return invalidCommand(cmd, "--config and --no-config can't be used together.");
+    }
+
+    // A single "all" or "graph" is a watch mode, not a path
+    const { watch } = cmd.settings;
+    if (watch && watch.length === 1 && (watch[0] === "all" || watch[0] === "graph")) {
+        cmd.settings.watch = watch[0];
+    }
+
+    const [first, second, third] = positional;
+
+    // Only flags were given (e.g. `nodelens --exec "npm run dev"`)
+    if (first === undefined) {
+        cmd.entry = cmd.exec ? null : cmd.entry;
+        return cmd;
+    }
 
     if (first === "help" || first === "h" || first === "?") {
         cmd.type = "help";
@@ -75,9 +262,13 @@ export function parseCommands(args) {
     // ──────────────── Config Commands ────────────────
 
     if (first === "config" || first === "cfg") {
-        if (second === "init") cmd.type = "config-init";
+        if (second === "init") {
+            cmd.type = "config-init";
+            cmd.format = third ?? "json";
+        }
         else if (second === "reset") cmd.type = "config-reset";
         else if (second === "delete") cmd.type = "config-delete";
+        else if (second === "validate") cmd.type = "config-validate";
         else cmd.type = "help";
         return cmd;
     }
@@ -97,50 +288,184 @@ export function parseCommands(args) {
 
 // ================ CONFIG HANDLERS ================
 
+// Adds the line number to JSON syntax errors that only report a position
+function describeParseError(err, text) {
+    const position = /at position (\d+)/.exec(err.message);
+    if (!position || /line \d+/.test(err.message)) return err.message;
+
+    const line = text.slice(0, Number(position[1])).split("\n").length;
+    return `${err.message} (line ${line})`;
+}
+
+// ──────────────── Config Sources ────────────────
+
 /**
- * Loads nl.config.json and applies log style
- * @returns {object|null} parsed config or null if missing/invalid
+ * Describes a config file as a source
+ * @param {string} file - absolute path
+ * @param {string} baseDir - project directory, for the label
+ * @returns {{type: string, path: string, label: string}}
  */
-export function loadConfig() {
-    const configPath = getConfigPath();
+function describeSource(file, baseDir) {
+    const label = path.relative(baseDir, file) || file;
 
-    if (!fs.existsSync(configPath)) return null;
+    if (/\.(c|m)?js$/.test(file)) return { type: "js", path: file, label };
+    if (path.basename(file) === "package.json") {
+        return { type: "package", path: file, label: `${label} ("${PACKAGE_CONFIG_KEY}" key)` };
+    }
+
+    return { type: "json", path: file, label };
+}
 
+// Checks whether a package.json has a "nodelens" key
+function hasPackageConfig(file) {
     try {
-        const raw = fs.readFileSync(configPath, "utf8");
-        const config = JSON.parse(raw);
+        const pkgJson = JSON.parse(fs.readFileSync(file, "utf8"));
+        return Boolean(pkgJson && typeof pkgJson === "object" && PACKAGE_CONFIG_KEY in pkgJson);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Lists the config sources present in a project, highest precedence first:
+ * 1. `--config <path>`
+ * 2. nodelens.config.js, nodelens.config.mjs
+ * 3. .nodelens/nl.config.json
+ * 4. the "nodelens" key in package.json
+ * Only the first one is used
+ * @param {string} baseDir - project directory
+ * @param {string|null} [explicitPath] - path given with --config (always listed, even when missing)
+ * @returns {Array<{type: string, path: string, label: string}>}
+ */
+export function listConfigSources(baseDir, explicitPath = null) {
+    const sources = [];
+
+    if (explicitPath) sources.push(describeSource(path.resolve(baseDir, explicitPath), baseDir));
+
+    for (const name of JS_CONFIG_FILENAMES) {
+        const file = path.join(baseDir, name);
+        if (fs.existsSync(file)) sources.push(describeSource(file, baseDir));
+    }
+
+    const jsonFile = path.join(baseDir, CONFIG_DIR, CONFIG_FILENAME);
+    if (fs.existsSync(jsonFile)) sources.push(describeSource(jsonFile, baseDir));
+
+    const pkgFile = path.join(baseDir, "package.json");
+    if (hasPackageConfig(pkgFile)) sources.push(describeSource(pkgFile, baseDir));
+
+    return sources;
+}
 
-        // Apply logger styling preferences from config
-        setLogStyle({
-            logLabel:
-                typeof config.logLabel === "boolean"
-                    ? config.logLabel
-                    : DEFAULT_CONFIG.logLabel,
-            logTimestamp:
-                typeof config.logTimestamp === "boolean"
-                    ? config.logTimestamp
-                    : DEFAULT_CONFIG.logTimestamp,
-            silentLogs:
-                typeof config.silentLogs === "boolean"
-                    ? config.silentLogs
-                    : DEFAULT_CONFIG.silentLogs,
-            saveLogs:
-                typeof config.saveLogs === "boolean"
-                    ? config.saveLogs
-                    : DEFAULT_CONFIG.saveLogs
-        });
-
-        return config;
+/**
+ * Loads a config source and checks it against the config schema
+ * JavaScript configs may export an object or a (possibly async) function of { env, argv }
+ * @param {{type: string, path: string}} source - from listConfigSources()
+ * @returns {Promise<{config: object|null, problems: Array<object>}>} config is null when it can't be loaded
+ */
+export async function loadConfigSource(source) {
+    if (!fs.existsSync(source.path)) {
+        return { config: null, problems: [{ path: null, message: "file not found", line: null }] };
+    }
+
+    if (source.type === "json") return inspectConfig(source.path);
+
+    if (source.type === "package") {
+        const raw = fs.readFileSync(source.path, "utf8");
+
+        try {
+            const config = JSON.parse(raw)[PACKAGE_CONFIG_KEY];
+            return { config, problems: validateConfig(config, raw, PACKAGE_CONFIG_KEY) };
+        } catch (err) {
+            return { config: null, problems: [{ path: null, message: `invalid JSON, ${describeParseError(err, raw)}`, line: null }] };
+        }
+    }
+
+    try {
+        // Bust the module caches so edits are picked up on reload
+        delete require.cache[source.path];
+        const url = `${pathToFileURL(source.path).href}?t=${fs.statSync(source.path).mtimeMs}`;
+
+        const mod = await import(url);
+        const exported = mod.default ?? mod;
+        const config = typeof exported === "function"
+            ? await exported({ env: process.env, argv: process.argv.slice(2) })
+            : exported;
+
+        return { config, problems: validateConfig(config) };
     } catch (err) {
-        log.error(`Failed to parse ${CONFIG_FILENAME}: ${err.message}`);
-        return null;
+        return { config: null, problems: [{ path: null, message: `failed to load, ${err.message}`, line: null }] };
+    }
+}
+
+/**
+ * Reads nl.config.json and checks it against the config schema
+ * Syntax errors are returned as a problem too, so callers report both the same way
+ * @param {string} configPath - absolute path to nl.config.json
+ * @returns {{config: object|null, problems: Array<{path: string, message: string, line: number|null}>}}
+ * config is null when the file is missing or can't be parsed
+ */
+export function inspectConfig(configPath) {
+    if (!fs.existsSync(configPath)) return { config: null, problems: [] };
+
+    let raw = "";
+
+    try {
+        raw = fs.readFileSync(configPath, "utf8");
+        const config = JSON.parse(raw);
+        return { config, problems: validateConfig(config, raw) };
+    } catch (err) {
+        return { config: null, problems: [{ path: null, message: `invalid JSON, ${describeParseError(err, raw)}`, line: null }] };
+    }
+}
+
+/**
+ * Logs config problems, one per line
+ * @param {Array<object>} problems - from inspectConfig() or loadConfigSource()
+ * @param {object} [logger]
+ * @param {string} [label] - the config source, e.g. "nodelens.config.js"
+ */
+export function reportConfigProblems(problems, logger = log, label = CONFIG_FILENAME) {
+    for (const problem of problems) {
+        logger.error(`${label}: ${formatProblem(problem)}`);
     }
 }
 
 /**
- * Creates nl.config.json with default values
+ * Checks the config source in use against the config schema and reports every problem
+ * @param {string|null} [explicitPath] - path given with --config
+ * @returns {Promise<boolean>} true when a config source exists and is valid
  */
-export function createDefaultConfigFile() {
+export async function validateConfigFile(explicitPath = null) {
+    const [source] = listConfigSources(resolveProjectRoot(), explicitPath && path.resolve(explicitPath));
+
+    if (!source) {
+        log.error("No config found. Run \x1b[36mnodelens config init\x1b[0m to create one.");
+        return false;
+    }
+
+    const { problems } = await loadConfigSource(source);
+
+    if (problems.length > 0) {
+        reportConfigProblems(problems, log, source.label);
+        log.error(`${source.label} has ${problems.length} problem${problems.length === 1 ? "" : "s"}.`);
+        return false;
+    }
+
+    log.success(`${source.label} is valid.`);
+    return true;
+}
+
+// Checks whether package.json in the current directory sets "type": "module"
+function isEsmPackage() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(resolveProjectRoot(), "package.json"), "utf8")).type === "module";
+    } catch {
+        return false;
+    }
+}
+
+// Writes .nodelens/nl.config.json, returns the created file (null on failure)
+function createJsonConfig() {
     const dir = getConfigDir();
     const configPath = getConfigPath();
 
@@ -150,20 +475,102 @@ export function createDefaultConfigFile() {
 
     if (fs.existsSync(configPath)) {
         log.error(`${CONFIG_FILENAME} already exists.`);
-        return;
+        return null;
     }
 
     fs.writeFileSync(configPath, JSON.stringify({ ...DEFAULT_CONFIG }, null, 2));
+    return configPath;
+}
+
+// Writes nodelens.config.js/.mjs exporting a function of { env, argv }, returns the created file
+function createJsConfig(format) {
+    const file = path.join(resolveProjectRoot(), `nodelens.config.${format}`);
+
+    if (fs.existsSync(file)) {
+        log.error(`${path.basename(file)} already exists.`);
+        return null;
+    }
+
+    // .js follows the package's module type, .mjs is always ESM
+    const esm = format === "mjs" || isEsmPackage();
+    // Plain identifiers don't need quoting in JavaScript
+    const body = JSON.stringify({ ...DEFAULT_CONFIG }, null, 2).replace(/^(\s*)"(\w+)":/gm, "$1$2:");
+
+    fs.writeFileSync(file, [
+        "// nodeLens config: export an object, or a function of { env, argv } that returns one",
+        `${esm ? "export default" : "module.exports ="} ({ env, argv }) => (${body});`,
+        ""
+    ].join("\n"));
+
+    return file;
+}
+
+// Adds a "nodelens" key with the defaults to package.json, keeping its indentation
+function createPackageConfig() {
+    const file = path.join(resolveProjectRoot(), "package.json");
+
+    if (!fs.existsSync(file)) {
+        log.error("package.json does not exist.");
+        return null;
+    }
+
+    const raw = fs.readFileSync(file, "utf8");
+    let pkgJson;
+
+    try {
+        pkgJson = JSON.parse(raw);
+    } catch (err) {
+        log.error(`Failed to parse package.json: ${describeParseError(err, raw)}`);
+        return null;
+    }
+
+    if (PACKAGE_CONFIG_KEY in pkgJson) {
+        log.error(`package.json already has a "${PACKAGE_CONFIG_KEY}" key.`);
+        return null;
+    }
+
+    const indent = /^([ \t]+)"/m.exec(raw)?.[1] ?? 2;
+    pkgJson[PACKAGE_CONFIG_KEY] = { ...DEFAULT_CONFIG };
+
+    fs.writeFileSync(file, JSON.stringify(pkgJson, null, indent) + (raw.endsWith("\n") ? "\n" : ""));
+    return file;
+}
+
+/**
+ * Creates a config with default values
+ * @param {string} [format] - "json" (.nodelens/nl.config.json), "js"/"mjs" (nodelens.config.*)
+ * or "package" (a "nodelens" key in package.json)
+ */
+export function createDefaultConfigFile(format = "json") {
+    if (!CONFIG_FORMATS.includes(format)) {
+        log.error(`Unknown config format "${format}". Use one of: ${CONFIG_FORMATS.join(", ")}.`);
+        return;
+    }
+
+    const file = format === "json" ? createJsonConfig()
+        : format === "package" ? createPackageConfig()
+            : createJsConfig(format);
+
+    if (!file) return;
 
     // Apply default log style
     setLogStyle({
         logLabel: DEFAULT_CONFIG.logLabel,
         logTimestamp: DEFAULT_CONFIG.logTimestamp,
         silentLogs: DEFAULT_CONFIG.silentLogs,
-        saveLogs: DEFAULT_CONFIG.saveLogs
+        saveLogs: DEFAULT_CONFIG.saveLogs,
+        logFile: getLogPath()
     });
 
-    log.success(`Created ${CONFIG_FILENAME} in .nodelens/.`);
+    const root = resolveProjectRoot();
+    const created = describeSource(file, root);
+    log.success(`Created ${created.label}${root === process.cwd() ? "" : ` in ${root}`}.`);
+
+    // A source with higher precedence would hide the new one
+    const [active] = listConfigSources(root);
+    if (active && active.path !== file) {
+        log.warn(`${active.label} takes precedence, remove it to use ${created.label}.`);
+    }
 }
 
 /**
@@ -196,7 +603,7 @@ export async function removeConfigFile() {
     log.success(`Deleted ${CONFIG_FILENAME} in .nodelens/.`);
 
     // Reset to default style after deletion
-    setLogStyle({ ...DEFAULT_CONFIG });
+    setLogStyle({ ...DEFAULT_CONFIG, logFile: getLogPath() });
 }
 
 /**
@@ -236,7 +643,8 @@ export async function resetConfigFile() {
         logLabel: DEFAULT_CONFIG.logLabel,
         logTimestamp: DEFAULT_CONFIG.logTimestamp,
         silentLogs: DEFAULT_CONFIG.silentLogs,
-        saveLogs: DEFAULT_CONFIG.saveLogs
+        saveLogs: DEFAULT_CONFIG.saveLogs,
+        logFile: getLogPath()
     });
 
     log.success(`Reset ${CONFIG_FILENAME}.`);
@@ -281,12 +689,33 @@ export function printVersion() {
     console.log(pkg.version);
 }
 
+// Pads a help entry with dots so the descriptions line up
+function formatHelpLine(label, description) {
+    const dots = HELP_WIDTH - label.length - 1;
+
+    return dots > 0
+        ? `    ${label} ${".".repeat(dots)} ${description}`
+        : `    ${label}  ${description}`;
+}
+
+// Help entry of a CLI option, e.g. "--debounce/-d <ms> ..... Waits this long..."
+function formatOptionHelp(option) {
+    const flags = option.alias ? `${option.flag}/${option.alias}` : option.flag;
+    return formatHelpLine(option.value ? `${flags} ${option.value}` : flags, option.description);
+}
+
 // Print available CLI commands
 export function printHelp() {
     console.log(`
 \x1b[33mCommands:\x1b[0m
   \x1b[33mRun:\x1b[0m
     nodelens <entry-file> ....... Starts Node.js with auto-restart
+    nodelens "<command>" ........ Runs a command (e.g. "python3 app.py")
+    nodelens [options] <entry> .. Flags override the config file
+    -- <args> ................... Passes arguments to the entry
+
+  \x1b[33mOptions:\x1b[0m
+${CLI_OPTIONS.map(formatOptionHelp).join("\n")}
 
   \x1b[33mHelp:\x1b[0m
     nodelens help/h/? ........... Shows this help view
@@ -296,8 +725,10 @@ export function printHelp() {
 
   \x1b[33mConfig:\x1b[0m
     nodelens config/cfg init .... Creates .nodelens/nl.config.json
+    nodelens cfg init <format> .. Creates a js, mjs or package (package.json key) config
     nodelens config/cfg reset ... Resets .nodelens/nl.config.json
     nodelens config/cfg delete .. Deletes .nodelens/nl.config.json
+    nodelens config/cfg validate  Checks the config in use for mistakes
 
   \x1b[33mLogs:\x1b[0m
     nodelens clear-logs ......... Clears .nodelens/nodelens.txt
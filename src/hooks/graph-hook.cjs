@@ -0,0 +1,44 @@
+// ================ MODULE GRAPH HOOK ================
+
+// Preloaded into the server (through NODE_OPTIONS) when `watch` is "graph"
+// Appends every module file the process loads to NODELENS_GRAPH_FILE, one path per line
+// CommonJS modules are caught here, ES modules by the loader registered below
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+const { pathToFileURL } = require("url");
+
+const graphFile = process.env.NODELENS_GRAPH_FILE;
+
+if (graphFile) {
+    const seen = new Set();
+
+    // Appends a loaded file once; reporting must never break the server
+    const record = (file) => {
+        if (seen.has(file)) return;
+        seen.add(file);
+
+        try {
+            fs.appendFileSync(graphFile, file + "\n");
+        } catch {
+            // Graph file removed (server is being replaced)
+        }
+    };
+
+    const originalLoad = Module.prototype.load;
+
+    Module.prototype.load = function (filename) {
+        record(filename);
+        return originalLoad.apply(this, arguments);
+    };
+
+    // ES module loader hooks (Node 18.19+ / 20.6+)
+    if (typeof Module.register === "function") {
+        Module.register(pathToFileURL(path.join(__dirname, "graph-loader.js")), {
+            data: { graphFile }
+        });
+    }
+}
@@ -0,0 +1,30 @@
+// ================ MODULE GRAPH LOADER ================
+
+// ES module loader hooks registered by graph-hook.cjs
+// Runs on the loader thread and appends every loaded file to the graph file
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+let graphFile = null;
+const seen = new Set();
+
+// Receives the graph file path from register()
+export function initialize(data) {
+    graphFile = data?.graphFile ?? null;
+}
+
+// Records file: URLs before handing them to the next loader
+export async function load(url, context, nextLoad) {
+    if (graphFile && url.startsWith("file:") && !seen.has(url)) {
+        seen.add(url);
+
+        try {
+            fs.appendFileSync(graphFile, fileURLToPath(url) + "\n");
+        } catch {
+            // Graph file removed (server is being replaced)
+        }
+    }
+
+    return nextLoad(url, context);
+}
@@ -0,0 +1,2124 @@
+// ================ IMPORTS ================
+
+import chokidar from "chokidar";
+import { spawn } from "child_process";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+    listConfigSources,
+    loadConfigSource,
+    reportConfigProblems,
+    resolveProjectRoot,
+    DEFAULT_CONFIG,
+    CONFIG_DIR,
+    CONFIG_FILENAME,
+    JS_CONFIG_FILENAMES,
+    LOG_FILENAME
+} from "./commands.js";
+import { CRASH_POLICIES, RULE_ACTIONS, STDIN_MODES } from "./schema.js";
+import { createLogger } from "./utils/logger.js";
+import {
+    getTreeSpawnOptions,
+    isTreeAlive,
+    killTree,
+    listDescendants,
+    waitForChildExit,
+    waitForTreeExit
+} from "./utils/process-tree.js";
+import { captureOutput, teeOutput } from "./utils/output.js";
+import { detectPollingReason, hashFile } from "./utils/filesystem.js";
+import {
+    compilePatterns,
+    findMatchingRule,
+    matchesRules,
+    parseIgnoreFile,
+    resolveDirectory
+} from "./utils/patterns.js";
+import { parseReadyOption, probeHttp, probePort } from "./utils/ready.js";
+import { createProxy, findFreePort } from "./utils/proxy.js";
+import { buildExecCommand, buildExecEnv, formatCommand, isCommandEntry } from "./utils/exec.js";
+
+// ================ CONSTANTS ================
+
+// Max time to wait for the process tree after SIGKILL before giving up
+const FORCE_KILL_GRACE = 1000;
+
+// How the server's stdin is set up per stdin mode ("raw" hands it the terminal)
+const STDIN_STDIO = { ignore: "ignore", forward: "pipe", raw: "inherit" };
+
+// Instance events that trigger `events` hooks, mapped to their config key
+const HOOK_EVENTS = {
+    start: "start",
+    restart: "restart",
+    crash: "crash",
+    exit: "exit",
+    config: "configReload"
+};
+
+// How long stop() waits for hooks still running (e.g. the final "exit" hook)
+const HOOK_STOP_TIMEOUT = 2000;
+
+// How long an HTTP hook may take before it is aborted
+const HOOK_HTTP_TIMEOUT = 5000;
+
+// Environment variable selecting a profile when none is passed (like --profile)
+const PROFILE_ENV = "NODELENS_PROFILE";
+
+// Settings that shape the server's command line, environment or stdin; changing them restarts it
+const EXEC_SETTINGS = ["exec", "execMap", "nodeArgs", "env", "stdin"];
+
+// How many files of a change batch are listed in the restart log
+const MAX_LOGGED_CHANGES = 5;
+
+// Log markers per change kind (also used by the `last-change` command)
+export const CHANGE_MARKERS = { add: "+", change: "~", unlink: "-" };
+
+// Preload script that reports loaded modules for `watch: "graph"`
+const GRAPH_HOOK = fileURLToPath(new URL("./hooks/graph-hook.cjs", import.meta.url));
+
+// Internal files/folders that should always be ignored by watchers
+const INTERNAL_ALWAYS_IGNORE = [".nodelens", "nl.config.json", ...JS_CONFIG_FILENAMES];
+
+// ================ UTILITIES ================
+
+// Converts Windows backslashes to forward slashes for path normalization
+function toForwardSlashes(p) {
+    return p.replace(/\\/g, "/");
+}
+
+/**
+ * Folds a new event into a file's pending change (e.g. add + change stays "add")
+ * @returns {string|null} "add", "change", "unlink", or null when nothing changed overall
+ */
+function mergeChange(previous, event) {
+    if (!previous) return event;
+    if (previous === "add") return event === "unlink" ? null : "add";
+    if (previous === "unlink" && event === "add") return "change";
+    return event;
+}
+
+// Summarizes a change batch, e.g. "3 changed, 1 added, 2 removed"
+function summarizeChanges(changes) {
+    const count = (event) => changes.filter(c => c.event === event).length;
+
+    return [
+        [count("change"), "changed"],
+        [count("add"), "added"],
+        [count("unlink"), "removed"]
+    ]
+        .filter(([n]) => n > 0)
+        .map(([n, label]) => `${n} ${label}`)
+        .join(", ");
+}
+
+// Counts the files and folders a chokidar watcher holds
+function countWatchedPaths(watcher) {
+    return Object.values(watcher.getWatched())
+        .reduce((total, items) => total + items.length, 0);
+}
+
+// Lists the absolute paths of the files a chokidar watcher holds
+function listWatchedFiles(watcher) {
+    const files = [];
+
+    for (const [dir, items] of Object.entries(watcher.getWatched())) {
+        for (const item of items) {
+            const file = path.join(dir, item);
+            try {
+                if (fs.statSync(file).isFile()) files.push(file);
+            } catch {
+                // Removed since the scan
+            }
+        }
+    }
+
+    return files;
+}
+
+// Resolves once a chokidar watcher finished its initial scan
+function onceReady(watcher) {
+    return new Promise(resolve => watcher.once("ready", resolve));
+}
+
+// ================ NODELENS INSTANCE ================
+
+/**
+ * Creates an independent nodeLens instance (no shared module state)
+ * Nothing is watched or spawned until start() is called
+ * @param {object} [options]
+ * @property {string|null} options.entry - entry file or command
+ * @property {string|null} options.exec - exec template overriding the config (like --exec)
+ * @property {Array<string>} options.scriptArgs - arguments passed to the entry
+ * @property {string} options.cwd - project root holding .nodelens/, the config and the watched files
+ * (default: the nearest folder with .nodelens/, a nodelens.config.* or package.json above the entry)
+ * @property {boolean} options.configFile - read and watch the config source (default: true)
+ * @property {string} options.configPath - config file to use instead of looking one up (like --config, relative to process.cwd())
+ * @property {object} options.config - settings layered on top of the config source
+ * @property {Array<string>} options.ignore - patterns added to the `ignore` option (like --ignore)
+ * @property {string} options.profile - entry of the config's `profiles` to apply (default: $NODELENS_PROFILE)
+ * @property {object} options.logger - logger instance (default: a new createLogger())
+ * @returns {EventEmitter} instance with start(), restart(), stop(), status() and more
+ *
+ * Events: "start", "ready", "restart", "change", "crash", "exit", "config"
+ */
+export function createNodeLens(options = {}) {
+    const lens = new EventEmitter();
+
+    const entry = options.entry ?? null;
+    const logger = options.logger || createLogger();
+    const useConfigFile = options.configFile !== false;
+    const inlineConfig = options.config && typeof options.config === "object" ? options.config : {};
+    const extraIgnore = Array.isArray(options.ignore) ? options.ignore : [];
+
+    const runOptions = {
+        exec: options.exec || null,
+        scriptArgs: Array.isArray(options.scriptArgs) ? options.scriptArgs : []
+    };
+
+    // Config, logs and watching share one root, looked up from the entry file
+    // (command entries like "python3 app.py" start from the current directory)
+    const projectRoot = options.cwd
+        ? path.resolve(options.cwd)
+        : resolveProjectRoot(entry && !isCommandEntry(entry) ? path.dirname(path.resolve(entry)) : process.cwd());
+
+    const configDir = path.join(projectRoot, CONFIG_DIR);
+    const explicitConfigPath = options.configPath ? path.resolve(options.configPath) : null;
+
+    // ──────────────── Instance State ────────────────
+
+    // Runtime overrides (e.g. the `silent` command) that survive config reloads
+    const overrides = {};
+
+    let server = null;
+    let restartTimer = null;
+    let projectWatcher = null;
+    let configWatcher = null;
+    let configDebounceTimer = null;
+    let ignoreFilesDebounceTimer = null;
+
+    // Config as loaded from the source (before profiles and overrides) and the profile applied on top
+    let sourceConfig = null;
+    let activeProfile = options.profile || process.env[PROFILE_ENV] || null;
+
+    let effectiveConfig = buildConfig(null);
+    let configSource = null;
+    let restartQueue = Promise.resolve();
+    let running = false;
+    let stopping = false;
+
+    // Crash auto-restart state (timestamps of recent crashes + pending retry)
+    let crashHistory = [];
+    let crashRetryTimer = null;
+    let nextCrashRetryAt = null;
+    let crashLoopDetected = false;
+
+    // Child processes nodeLens is stopping on purpose (their exit is not a crash)
+    const stoppingServers = new WeakSet();
+
+    // Why polling was switched on automatically (null while native events are used)
+    let pollingReason = null;
+
+    // Module graph reported by the server (`watch: "graph"`), re-read when the file grows
+    // Each server process writes its own file, so a zeroDowntime candidate never clears the old server's
+    const graphFiles = new Map();
+    let graphCache = { file: null, size: -1, modules: new Set(), dirs: new Set(), extensions: new Set() };
+
+    // Content hash per watched file (contentHash mode), keyed by relative path
+    const fileHashes = new Map();
+
+    // Rules read from ignoreFiles (.gitignore etc.) and the files they came from
+    let ignoreFileRules = [];
+    let loadedIgnoreFiles = [];
+
+    // Stores last file change metadata for status reporting
+    let lastChange = {
+        file: null,
+        event: null,
+        timestamp: null,
+        skipped: false,
+        changes: [],
+        summary: ""
+    };
+
+    // Changes collected during the current debounce window (relative path -> event)
+    const pendingChanges = new Map();
+
+    // Compiled `rules` entries, each with its own debounce timer and pending batch
+    let actionRules = [];
+
+    // Shell commands nodeLens is running (prestart steps, exec rules), stopped with nodeLens
+    const commandChildren = new Set();
+
+    // Hooks still running; stop() gives them a moment to finish
+    const pendingHooks = new Set();
+
+    // Outcome of the last prestart run: "idle", "running", "passed" or "failed"
+    let prestartStatus = { state: "idle", command: null, reason: null, finishedAt: null, durationMs: null };
+
+    // Readiness of the current server: "off", "waiting", "timeout" (still waiting), "ready" or "exited"
+    let readyStatus = { state: "off", check: null, startedAt: null, durationMs: null };
+
+    // zeroDowntime: settings picked at start(), the proxy owning the public port and the server's own port
+    let zeroDowntime = null;
+    let proxy = null;
+    let serverPort = null;
+
+    // New servers started next to the old one, not serving traffic until ready
+    const candidates = new Set();
+
+    // ──────────────── Config ────────────────
+
+    // Merges defaults, the config source, the active profile, inline options and runtime overrides
+    function buildConfig(rawConfig) {
+        const fileConfig = rawConfig && typeof rawConfig === "object" ? rawConfig : {};
+        const profileConfig = activeProfile ? fileConfig.profiles?.[activeProfile] : null;
+
+        const config = {
+            ...DEFAULT_CONFIG,
+            ...fileConfig,
+            ...profileConfig,
+            ...inlineConfig,
+            ...overrides
+        };
+
+        // Extra patterns (--ignore) add to the configured list instead of replacing it
+        if (extraIgnore.length > 0) {
+            config.ignore = [...[].concat(config.ignore ?? []), ...extraIgnore];
+        }
+
+        config.logFile = config.saveLogs ? getLogFilePath() : null;
+        return config;
+    }
+
+    // Returns the path logs are saved to when saveLogs is enabled
+    function getLogFilePath() {
+        return path.join(configDir, LOG_FILENAME);
+    }
+
+    // Applies logger styling preferences from the effective config
+    function applyLogStyle() {
+        if (typeof logger.setStyle === "function") {
+            logger.setStyle({ ...effectiveConfig, logFile: getLogFilePath() });
+        }
+    }
+
+    // Returns the config sources present, the one in use first (none when configFile is off)
+    function findConfigSources() {
+        return useConfigFile ? listConfigSources(projectRoot, explicitConfigPath) : [];
+    }
+
+    // Loads the config source in use (unless disabled) and rebuilds the effective config
+    // Returns the schema problems found and the sources it shadows; an invalid config is not applied
+    async function loadEffectiveConfig() {
+        const [source = null, ...shadowed] = findConfigSources();
+        const { config, problems } = source ? await loadConfigSource(source) : { config: null, problems: [] };
+
+        configSource = source;
+
+        if (problems.length === 0) {
+            sourceConfig = config;
+            effectiveConfig = buildConfig(config);
+            applyLogStyle();
+        }
+
+        return { problems, shadowed };
+    }
+
+    // ──────────────── Profiles ────────────────
+
+    // Lists the profile names a config defines
+    function getProfileNames(rawConfig = sourceConfig) {
+        const profiles = rawConfig?.profiles;
+        return profiles && typeof profiles === "object" ? Object.keys(profiles) : [];
+    }
+
+    // Explains why a profile can't be applied, or returns null when the config defines it
+    function checkProfile(name, rawConfig = sourceConfig) {
+        const names = getProfileNames(rawConfig);
+        if (!name || names.includes(name)) return null;
+
+        return `Unknown profile "${name}". ` +
+            (names.length > 0 ? `Available: ${names.join(", ")}.` : "The config has no profiles.");
+    }
+
+    // ──────────────── Ignore Files ────────────────
+
+    // Returns the configured ignore files, e.g. [".gitignore", ".nodelens/.nodelensignore"]
+    function getIgnoreFileNames() {
+        const { ignoreFiles } = effectiveConfig;
+        if (!ignoreFiles) return [];
+
+        return (Array.isArray(ignoreFiles) ? ignoreFiles : [ignoreFiles])
+            .filter(name => typeof name === "string" && name.trim())
+            .map(name => toForwardSlashes(name.trim()));
+    }
+
+    // Checks whether a path is one of the ignore files (changing it reloads the rules)
+    function isIgnoreFile(filePath) {
+        const absolute = path.resolve(filePath);
+
+        return getIgnoreFileNames().some(name =>
+            name.includes("/")
+                ? path.resolve(projectRoot, name) === absolute
+                : path.basename(absolute) === name
+        );
+    }
+
+    /**
+     * Reads every ignore file and compiles its patterns relative to the file's folder
+     * Paths are resolved from the base folder; bare names (".gitignore") are also
+     * looked up in every project subfolder that isn't ignored already
+     * Files inside .nodelens/ apply to the whole project
+     */
+    function loadIgnoreFiles() {
+        const names = getIgnoreFileNames();
+        const nestedNames = names.filter(name => !name.includes("/"));
+
+        const rules = [];
+        const files = [];
+        const seen = new Set();
+
+        const addFile = (file) => {
+            if (seen.has(file)) return;
+            seen.add(file);
+
+            let content;
+            try {
+                content = fs.readFileSync(file, "utf8");
+            } catch (err) {
+                if (err.code !== "ENOENT" && err.code !== "EISDIR") {
+                    logger.warn(`Failed to read ${file}: ${err.message}`);
+                }
+                return;
+            }
+
+            const fileDir = path.dirname(file);
+            const patternDir = fileDir === configDir ? projectRoot : fileDir;
+            const origin = toForwardSlashes(path.relative(projectRoot, file));
+
+            rules.push(...compilePatterns(parseIgnoreFile(content), origin, {
+                base: toForwardSlashes(path.relative(projectRoot, patternDir)),
+                root: toForwardSlashes(projectRoot),
+                globOnly: true,
+                onInvalid: (pattern, reason) => logger.warn(`Skipping "${pattern}" in ${origin}: ${reason}.`)
+            }));
+            files.push(origin);
+        };
+
+        for (const name of names) addFile(path.resolve(projectRoot, name));
+
+        // Nested ignore files (e.g. src/.gitignore), skipping ignored folders
+        const walk = (dir) => {
+            for (const name of nestedNames) addFile(path.join(dir, name));
+
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch {
+                return;
+            }
+
+            for (const dirent of entries) {
+                if (!dirent.isDirectory()) continue;
+
+                const absolute = path.join(dir, dirent.name);
+                const rel = toForwardSlashes(path.relative(projectRoot, absolute));
+
+                if (matchesRules([...rules, ...getConfigIgnoreRules()], rel, true)) continue;
+                walk(absolute);
+            }
+        };
+
+        if (nestedNames.length > 0) walk(projectRoot);
+
+        ignoreFileRules = rules;
+        loadedIgnoreFiles = files;
+    }
+
+    // ──────────────── Watch Rules ────────────────
+
+    // Compiles the `ignore` option plus the internal ignores
+    function getConfigIgnoreRules() {
+        const rules = [
+            ...compilePatterns(effectiveConfig.ignore ?? [], "ignore"),
+            ...compilePatterns(INTERNAL_ALWAYS_IGNORE, "internal")
+        ];
+
+        // A --config file inside the project reloads the config, it doesn't restart the server
+        const explicitRel = explicitConfigPath && toForwardSlashes(path.relative(projectRoot, explicitConfigPath));
+        if (explicitRel && !explicitRel.startsWith("..")) {
+            rules.push(...compilePatterns(`/${explicitRel}`, "internal"));
+        }
+
+        return rules;
+    }
+
+    // Compiles ignore + watch rules; `ignore` comes after the ignore files so it can re-include with "!"
+    // "all" and "graph" watch every folder (graph filtering happens per event)
+    function buildRules() {
+        const { watch } = effectiveConfig;
+
+        return {
+            ignore: [...ignoreFileRules, ...getConfigIgnoreRules()],
+            watch: watch === "all" || watch === "graph" ? null : compilePatterns(watch, "watch")
+        };
+    }
+
+    /**
+     * Decides whether a path triggers restarts and which rules decided it
+     * @param {string} rel - path relative to the project root
+     * @param {boolean} [isDir]
+     * @returns {{path: string, ignored: boolean, ignoreRule: object|null, watched: boolean, watchRule: object|null, watchMode: string}}
+     */
+    function matchPath(rel, isDir = false) {
+        const rules = buildRules();
+        const watchMode = isGraphMode() ? "graph" : rules.watch ? "patterns" : "all";
+
+        const ignoreRule = findMatchingRule(rules.ignore, rel, isDir);
+        const ignored = Boolean(ignoreRule && !ignoreRule.negate);
+
+        const watchRule = rules.watch ? findMatchingRule(rules.watch, rel, isDir) : null;
+        const watched = !ignored && (
+            watchMode === "graph" ? !isDir && isInGraph(rel, "change")
+                : watchMode === "all" || Boolean(watchRule && !watchRule.negate)
+        );
+
+        return { path: rel, ignored, ignoreRule, watched, watchRule, watchMode };
+    }
+
+    /**
+     * Builds chokidar's `ignored` option from the rules, so ignored folders and
+     * folders the watch patterns can't match are never traversed
+     * Ignore files stay visible so their edits can reload the rules
+     */
+    function createChokidarFilter(rules, actionRules = []) {
+        // Paths outside `watch` are still needed when a per-pattern rule handles them
+        const skip = (rel, isDir) => {
+            if (isDir) {
+                return resolveDirectory(rules.ignore, rel) === true ||
+                    (rules.watch !== null && resolveDirectory(rules.watch, rel) === false &&
+                        actionRules.every(rule => resolveDirectory(rule.patterns, rel) === false));
+            }
+
+            return matchesRules(rules.ignore, rel, false) ||
+                (rules.watch !== null && !matchesRules(rules.watch, rel, false) &&
+                    !actionRules.some(rule => matchesRules(rule.patterns, rel, false)));
+        };
+
+        return (filePath, stats) => {
+            const rel = toForwardSlashes(path.relative(projectRoot, filePath));
+            if (!rel || rel.startsWith("..")) return false;
+
+            if (!stats?.isDirectory() && isIgnoreFile(filePath)) return false;
+
+            // chokidar asks once without stats; only skip what is skipped either way
+            if (!stats) return skip(rel, false) && skip(rel, true);
+            return skip(rel, stats.isDirectory());
+        };
+    }
+
+    // ──────────────── Watcher Options ────────────────
+
+    /**
+     * Resolves watcherOptions into chokidar options, falling back to defaults for invalid values
+     * usePolling "auto" polls only when the project is on a filesystem without native events
+     * @returns {object}
+     */
+    function getWatcherOptions() {
+        const defaults = DEFAULT_CONFIG.watcherOptions;
+        const options = { ...defaults, ...effectiveConfig.watcherOptions };
+
+        const pick = (value, fallback) =>
+            typeof value === "number" && value >= 0 ? value : fallback;
+
+        const chokidarOptions = {
+            usePolling: options.usePolling === true || (options.usePolling === "auto" && pollingReason !== null),
+            interval: pick(options.interval, defaults.interval),
+            binaryInterval: pick(options.binaryInterval, defaults.binaryInterval),
+            followSymlinks: options.followSymlinks !== false
+        };
+
+        if (typeof options.depth === "number" && options.depth >= 0) {
+            chokidarOptions.depth = options.depth;
+        }
+
+        // true uses chokidar's defaults (2000ms stable, checked every 100ms)
+        if (options.awaitWriteFinish === true) {
+            chokidarOptions.awaitWriteFinish = true;
+        } else if (options.awaitWriteFinish && typeof options.awaitWriteFinish === "object") {
+            chokidarOptions.awaitWriteFinish = {
+                stabilityThreshold: pick(options.awaitWriteFinish.stabilityThreshold, 2000),
+                pollInterval: pick(options.awaitWriteFinish.pollInterval, 100)
+            };
+        }
+
+        return chokidarOptions;
+    }
+
+    // Switches "auto" polling on for network mounts and container bind mounts (checked once)
+    function detectPolling() {
+        const { usePolling } = { ...DEFAULT_CONFIG.watcherOptions, ...effectiveConfig.watcherOptions };
+        if (usePolling !== "auto" || pollingReason !== null) return;
+
+        pollingReason = detectPollingReason(projectRoot);
+
+        if (pollingReason) {
+            logger.warn(
+                `Project is on a ${pollingReason}, native file events may never arrive. ` +
+                `Falling back to polling every ${getWatcherOptions().interval}ms ` +
+                "(set watcherOptions.usePolling to true or false to skip this check)."
+            );
+        }
+    }
+
+    // ──────────────── Module Graph ────────────────
+
+    // Checks whether restarts follow the entry's module graph (`watch: "graph"`)
+    function isGraphMode() {
+        return effectiveConfig.watch === "graph";
+    }
+
+    // Deletes a stopped server's graph file (the last read modules stay cached)
+    function removeGraphFile(child) {
+        const file = graphFiles.get(child);
+        if (!file) return;
+
+        fs.rmSync(file, { force: true });
+        graphFiles.delete(child);
+    }
+
+    // Deletes the graph files of every server still known
+    function removeGraphFiles() {
+        for (const child of [...graphFiles.keys()]) removeGraphFile(child);
+    }
+
+    /**
+     * Gives the server about to start a fresh graph file and preloads the reporting hook
+     * @returns {string|null} The graph file, to be tied to the spawned process
+     */
+    function prepareGraph(env) {
+        if (!isGraphMode()) return null;
+
+        // Unique across instances too: several may run in one process
+        const file = path.join(os.tmpdir(), `nodelens-graph-${crypto.randomUUID()}.txt`);
+        fs.writeFileSync(file, "");
+
+        env.NODELENS_GRAPH_FILE = file;
+        env.NODE_OPTIONS = `${env.NODE_OPTIONS ?? ""} --require "${GRAPH_HOOK}"`.trim();
+        return file;
+    }
+
+    /**
+     * Returns the local modules the server reported so far, as relative paths
+     * Paths outside the project root or inside node_modules are left out
+     * @returns {{modules: Set<string>, dirs: Set<string>, extensions: Set<string>}}
+     */
+    function readGraph() {
+        const graphFile = graphFiles.get(server);
+        if (!graphFile) return graphCache;
+
+        let size;
+        try {
+            size = fs.statSync(graphFile).size;
+        } catch {
+            return graphCache;
+        }
+
+        if (graphFile === graphCache.file && size === graphCache.size) return graphCache;
+
+        const modules = new Set();
+        const dirs = new Set();
+        const extensions = new Set();
+
+        for (const line of fs.readFileSync(graphFile, "utf8").split("\n")) {
+            if (!line) continue;
+
+            const rel = toForwardSlashes(path.relative(projectRoot, line));
+            if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) continue;
+            if (rel.split("/").includes("node_modules")) continue;
+
+            modules.add(rel);
+            dirs.add(path.posix.dirname(rel));
+            extensions.add(path.posix.extname(rel));
+        }
+
+        graphCache = { file: graphFile, size, modules, dirs, extensions };
+        return graphCache;
+    }
+
+    /**
+     * Checks whether a change belongs to the module graph: a loaded module, or a
+     * new file of a module type (e.g. .js) in a folder the graph already uses
+     * Until the server reported any module, every change counts
+     */
+    function isInGraph(rel, event) {
+        const { modules, dirs, extensions } = readGraph();
+
+        if (modules.size === 0 || modules.has(rel)) return true;
+
+        return event === "add" &&
+            dirs.has(path.posix.dirname(rel)) &&
+            extensions.has(path.posix.extname(rel));
+    }
+
+    // ──────────────── Content Hashing ────────────────
+
+    // Hashes every watched file that has no hash yet, yielding between batches
+    async function seedFileHashes(watcher) {
+        const files = listWatchedFiles(watcher);
+
+        for (let i = 0; i < files.length; i++) {
+            if (watcher !== projectWatcher) return;
+
+            const rel = toForwardSlashes(path.relative(projectRoot, files[i]));
+            if (!fileHashes.has(rel)) {
+                const hash = hashFile(files[i]);
+                if (hash) fileHashes.set(rel, hash);
+            }
+
+            if (i % 50 === 49) await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /**
+     * Records the file's new hash and reports whether its content is unchanged
+     * Files without a previous hash always count as changed
+     */
+    function isContentUnchanged(filePath, rel, event) {
+        if (event === "unlink") {
+            fileHashes.delete(rel);
+            return false;
+        }
+
+        const hash = hashFile(filePath);
+        const previous = fileHashes.get(rel);
+
+        if (hash) fileHashes.set(rel, hash);
+        return event === "change" && hash !== null && hash === previous;
+    }
+
+    // ──────────────── Change Batches ────────────────
+
+    // Adds a watcher event to a pending batch; folders are kept with a trailing "/"
+    function collectChange(pending, event, rel) {
+        const isDir = event === "addDir" || event === "unlinkDir";
+        const key = isDir ? `${rel}/` : rel;
+        const kind = event === "addDir" ? "add" : event === "unlinkDir" ? "unlink" : event;
+
+        const merged = mergeChange(pending.get(key), kind);
+
+        if (merged) pending.set(key, merged);
+        else pending.delete(key);
+    }
+
+    /**
+     * Takes a pending batch, stores it as the last change and logs it with what happens next
+     * Single changes keep the short "Change in <file>" message
+     * @param {Map<string, string>} pending
+     * @param {string} actionText - e.g. "Restarting..."
+     * @returns {Array<{file: string, event: string}>}
+     */
+    function flushChanges(pending, actionText) {
+        const changes = [...pending].map(([file, event]) => ({ file, event }));
+        pending.clear();
+
+        const summary = summarizeChanges(changes);
+        lastChange = { ...lastChange, changes, summary };
+
+        logger.separator();
+
+        if (changes.length === 0) {
+            logger.info(`Files changed. ${actionText}`);
+            return changes;
+        }
+
+        if (changes.length === 1) {
+            logger.info(`Change in ${changes[0].file}. ${actionText}`);
+            return changes;
+        }
+
+        logger.info(`${changes.length} files changed (${summary}). ${actionText}`);
+
+        for (const { file, event } of changes.slice(0, MAX_LOGGED_CHANGES)) {
+            logger.info(`  ${CHANGE_MARKERS[event]} ${file}`);
+        }
+
+        if (changes.length > MAX_LOGGED_CHANGES) {
+            logger.info(`  ...and ${changes.length - MAX_LOGGED_CHANGES} more (run \x1b[36mlast-change\x1b[0m for the full list)`);
+        }
+
+        return changes;
+    }
+
+    // ──────────────── Per-pattern Rules ────────────────
+
+    // Compiles the `rules` option; invalid entries are skipped with a warning
+    function compileActionRules() {
+        const list = Array.isArray(effectiveConfig.rules) ? effectiveConfig.rules : [];
+        const compiled = [];
+
+        list.forEach((rule, index) => {
+            const label = `rules[${index}]`;
+
+            if (!rule || typeof rule !== "object" || !rule.match) {
+                logger.warn(`Skipping ${label}: "match" is required.`);
+                return;
+            }
+
+            if (!RULE_ACTIONS.includes(rule.action)) {
+                logger.warn(`Skipping ${label}: unknown action "${rule.action}" (use ${RULE_ACTIONS.join(", ")}).`);
+                return;
+            }
+
+            if (rule.action === "exec" && (typeof rule.command !== "string" || !rule.command.trim())) {
+                logger.warn(`Skipping ${label}: "exec" rules need a "command".`);
+                return;
+            }
+
+            const signal = rule.signal ?? "SIGHUP";
+
+            if (rule.action === "signal" && rule.message === undefined && !(signal in os.constants.signals)) {
+                logger.warn(`Skipping ${label}: unknown signal "${signal}".`);
+                return;
+            }
+
+            compiled.push({
+                label,
+                match: rule.match,
+                action: rule.action,
+                patterns: compilePatterns(rule.match, label),
+                signal,
+                message: rule.message,
+                command: rule.command,
+                restart: rule.restart === true,
+                debounceMs: typeof rule.debounce === "number" && rule.debounce >= 0 ? rule.debounce : null,
+                timer: null,
+                pending: new Map(),
+                queue: Promise.resolve()
+            });
+        });
+
+        return compiled;
+    }
+
+    // Returns the first rule whose patterns match a path
+    function findActionRule(rel, isDir) {
+        return actionRules.find(rule => matchesRules(rule.patterns, rel, isDir)) || null;
+    }
+
+    // Drops pending rule batches (watcher replaced or nodeLens stopping)
+    function clearActionRules() {
+        for (const rule of actionRules) {
+            if (rule.timer) clearTimeout(rule.timer);
+            rule.timer = null;
+            rule.pending.clear();
+        }
+    }
+
+    // Checks whether any rule talks to the server over IPC (needs an IPC channel at spawn)
+    function needsIpc() {
+        return Array.isArray(effectiveConfig.rules) &&
+            effectiveConfig.rules.some(rule => rule && rule.action === "signal" && rule.message !== undefined);
+    }
+
+    // Runs a rule's action for the changes it collected
+    function runActionRule(rule) {
+        if (rule.action === "restart") {
+            restartServer("change", flushChanges(rule.pending, "Restarting..."));
+            return;
+        }
+
+        if (rule.action === "signal") {
+            const what = rule.message !== undefined ? "IPC message" : rule.signal;
+            flushChanges(rule.pending, `Sending ${what} to the server...`);
+            signalServer(rule);
+            return;
+        }
+
+        const changes = flushChanges(rule.pending, `Running \`${rule.command}\`...`);
+        rule.queue = rule.queue.then(() => runRuleCommand(rule, changes));
+    }
+
+    // Sends a rule's signal (or IPC message) to the server's main process only
+    function signalServer(rule) {
+        if (!isServerRunning()) {
+            logger.warn("Server is not running. Nothing to signal.");
+            return;
+        }
+
+        if (rule.message !== undefined) {
+            if (server.connected) server.send(rule.message);
+            else logger.warn("Server has no IPC channel (is it a Node.js process?).");
+            return;
+        }
+
+        try {
+            process.kill(server.pid, rule.signal);
+        } catch (err) {
+            logger.error(`Failed to send ${rule.signal}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Runs a rule's shell command
+     * Restarts the server afterwards when the rule sets `restart: true` and the command succeeded
+     * @returns {Promise<void>} resolves once the command exited
+     */
+    async function runRuleCommand(rule, changes) {
+        const capture = effectiveConfig.captureOutput === true;
+        const result = await runShellCommand(rule.command, { capture, label: "EXEC" });
+
+        if (!result.ok) {
+            logger.error(`\`${rule.command}\` failed (${result.reason}).`);
+            return;
+        }
+
+        logger.success(`\`${rule.command}\` finished in ${result.durationMs}ms.`);
+        if (rule.restart) restartServer("change", changes);
+    }
+
+    // ──────────────── Commands ────────────────
+
+    /**
+     * Runs a shell command from the project root with the server's env
+     * It gets its own process group so stop() can end it with its children
+     * @param {string} command
+     * @param {object} options
+     * @property {boolean} options.capture - stream output through the logger instead of the terminal
+     * @property {string} options.label - log label for captured output
+     * @property {object} options.env - extra environment variables
+     * @returns {Promise<{ok: boolean, reason: string|null, durationMs: number}>}
+     */
+    function runShellCommand(command, { capture, label, env = {} }) {
+        return new Promise((resolve) => {
+            const startedAt = Date.now();
+
+            const child = spawn(command, {
+                ...getTreeSpawnOptions(),
+                shell: true,
+                cwd: projectRoot,
+                env: { ...buildExecEnv(effectiveConfig), ...env },
+                stdio: ["ignore", capture ? "pipe" : "inherit", capture ? "pipe" : "inherit"]
+            });
+
+            commandChildren.add(child);
+            if (capture) captureOutput(child, logger, { label });
+
+            let settled = false;
+            const done = (ok, reason) => {
+                if (settled) return;
+                settled = true;
+
+                commandChildren.delete(child);
+                resolve({ ok, reason, durationMs: Date.now() - startedAt });
+            };
+
+            child.on("error", (err) => done(false, err.message));
+            child.on("exit", (code, signal) => {
+                if (code === 0) done(true, null);
+                else done(false, signal ? `signal ${signal}` : `exit code ${code}`);
+            });
+        });
+    }
+
+    // Returns the prestart commands as a list
+    function getPrestartCommands() {
+        const { prestart } = effectiveConfig;
+
+        return (Array.isArray(prestart) ? prestart : [prestart])
+            .filter(command => typeof command === "string" && command.trim());
+    }
+
+    /**
+     * Runs the prestart commands one after another before the server starts
+     * Stops at the first failure, which aborts the start so the previous server keeps running
+     * @returns {Promise<boolean>} true when every command succeeded (or there are none)
+     */
+    async function runPrestart() {
+        const commands = getPrestartCommands();
+        if (commands.length === 0) return true;
+
+        const startedAt = Date.now();
+        prestartStatus = { state: "running", command: null, reason: null, finishedAt: null, durationMs: null };
+
+        for (const command of commands) {
+            prestartStatus.command = command;
+            logger.info(`Prestart: \`${command}\``);
+
+            const result = await runShellCommand(command, { capture: true, label: "BUILD" });
+            if (stopping) return false;
+
+            if (!result.ok) {
+                prestartStatus = {
+                    state: "failed",
+                    command,
+                    reason: result.reason,
+                    finishedAt: new Date(),
+                    durationMs: Date.now() - startedAt
+                };
+
+                logger.separator();
+                logger.error(
+                    `Prestart \`${command}\` failed (${result.reason}). Restart aborted` +
+                    (isServerRunning() ? ", the previous server keeps running." : ".") +
+                    " Waiting for changes..."
+                );
+                return false;
+            }
+        }
+
+        prestartStatus = {
+            state: "passed",
+            command: null,
+            reason: null,
+            finishedAt: new Date(),
+            durationMs: Date.now() - startedAt
+        };
+
+        logger.success(`Prestart finished in ${prestartStatus.durationMs}ms.`);
+        return true;
+    }
+
+    // ──────────────── Event Hooks ────────────────
+
+    // Returns the hooks configured for an event (shell commands and/or URLs)
+    function getHooks(name) {
+        const events = effectiveConfig.events && typeof effectiveConfig.events === "object"
+            ? effectiveConfig.events
+            : {};
+        const hooks = events[name];
+
+        return (Array.isArray(hooks) ? hooks : [hooks])
+            .filter(hook => typeof hook === "string" && hook.trim());
+    }
+
+    // Builds the JSON payload hooks receive, including the files behind the last restart
+    function buildHookPayload(name, details) {
+        const changes = details.changes ?? lastChange.changes;
+
+        return {
+            ...details,
+            event: name,
+            timestamp: new Date().toISOString(),
+            files: changes.map(change => change.file)
+        };
+    }
+
+    // Exposes the payload to shell hooks as NODELENS_* variables
+    function buildHookEnv(payload) {
+        const env = {
+            NODELENS_EVENT: payload.event,
+            NODELENS_FILES: payload.files.join("\n"),
+            NODELENS_PAYLOAD: JSON.stringify(payload)
+        };
+
+        if (payload.pid != null) env.NODELENS_PID = String(payload.pid);
+        if (payload.code != null) env.NODELENS_EXIT_CODE = String(payload.code);
+        if (payload.signal != null) env.NODELENS_SIGNAL = payload.signal;
+        if (payload.reason != null) env.NODELENS_REASON = payload.reason;
+
+        return env;
+    }
+
+    // POSTs the payload as JSON to a hook URL
+    async function postHook(url, payload) {
+        const response = await fetch(url, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(HOOK_HTTP_TIMEOUT)
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    }
+
+    /**
+     * Runs every hook configured for an event without blocking the server
+     * URLs (http/https) get a JSON POST, anything else runs as a shell command
+     * Failures are only reported as warnings
+     */
+    function runHooks(name, details = {}) {
+        const hooks = getHooks(name);
+        if (hooks.length === 0) return;
+
+        const payload = buildHookPayload(name, details);
+
+        for (const hook of hooks) {
+            const isUrl = /^https?:\/\//i.test(hook);
+
+            const task = isUrl
+                ? postHook(hook, payload).then(() => null, err => err.message)
+                : runShellCommand(hook, {
+                    capture: effectiveConfig.captureOutput === true,
+                    label: "HOOK",
+                    env: buildHookEnv(payload)
+                }).then(result => result.reason);
+
+            const tracked = task.then((failure) => {
+                if (failure) logger.warn(`${name} hook \`${hook}\` failed (${failure}).`);
+            });
+
+            pendingHooks.add(tracked);
+            tracked.finally(() => pendingHooks.delete(tracked));
+        }
+    }
+
+    // ──────────────── Watchers ────────────────
+
+    /**
+     * Creates the main project watcher that restarts the server when files change
+     */
+    function createProjectWatcher() {
+        const { debounceDelay, restartDelay } = effectiveConfig;
+        const contentHash = effectiveConfig.contentHash === true;
+        const graphMode = isGraphMode();
+
+        const debounceMs =
+            typeof debounceDelay === "number" && debounceDelay >= 0
+                ? debounceDelay
+                : DEFAULT_CONFIG.debounceDelay;
+
+        const restartDelayMs =
+            typeof restartDelay === "number" && restartDelay >= 0
+                ? restartDelay
+                : DEFAULT_CONFIG.restartDelay;
+
+        const rules = buildRules();
+        actionRules = compileActionRules();
+
+        const watcher = chokidar.watch(projectRoot, {
+            ...getWatcherOptions(),
+            ignoreInitial: true,
+            persistent: true,
+            ignored: createChokidarFilter(rules, actionRules)
+        });
+
+        watcher.on("all", (event, filePath) => {
+            const rel = toForwardSlashes(path.relative(projectRoot, filePath));
+            if (!rel) return;
+
+            // Ignore file edits reload the rules instead of restarting
+            if (isIgnoreFile(filePath)) {
+                if (!matchesRules(rules.ignore, path.posix.dirname(rel), true)) scheduleIgnoreFilesReload();
+                return;
+            }
+
+            const isDir = event === "addDir" || event === "unlinkDir";
+
+            // Skip ignored files
+            if (matchesRules(rules.ignore, rel, isDir)) return;
+
+            // Per-pattern rules take the change even outside `watch`
+            const actionRule = findActionRule(rel, isDir);
+
+            if (!actionRule) {
+                // Skip files outside watched patterns
+                if (rules.watch && !matchesRules(rules.watch, rel, isDir)) return;
+                // Skip files the server never loaded (graph mode)
+                if (graphMode && (isDir || !isInGraph(rel, event))) return;
+            }
+
+            // Skip touches that left the content byte-identical
+            if (contentHash && !isDir && isContentUnchanged(filePath, rel, event)) {
+                lastChange = { file: rel, event, timestamp: new Date(), skipped: true, changes: [], summary: "" };
+
+                logger.separator();
+                logger.info(`${rel} touched, unchanged – restart skipped.`);
+                return;
+            }
+
+            // Record latest file change
+            if (["add", "change", "unlink"].includes(event)) {
+                lastChange = {
+                    ...lastChange,
+                    file: rel,
+                    event,
+                    timestamp: new Date(),
+                    skipped: false
+                };
+            }
+
+            lens.emit("change", { event, file: rel, action: actionRule ? actionRule.action : "restart" });
+
+            if (actionRule) {
+                if (actionRule.action === "none") return;
+
+                // Each rule collects and debounces its own batch
+                collectChange(actionRule.pending, event, rel);
+                if (actionRule.timer) clearTimeout(actionRule.timer);
+
+                actionRule.timer = setTimeout(() => {
+                    actionRule.timer = null;
+                    runActionRule(actionRule);
+                }, actionRule.debounceMs ?? debounceMs);
+                return;
+            }
+
+            collectChange(pendingChanges, event, rel);
+
+            // Trigger restart debounce; the whole batch is logged once it settles
+            if (restartTimer) clearTimeout(restartTimer);
+
+            restartTimer = setTimeout(() => {
+                const changes = flushChanges(pendingChanges, "Restarting...");
+
+                const doRestart = () => {
+                    restartTimer = null;
+                    restartServer("change", changes);
+                };
+
+                if (restartDelayMs > 0) {
+                    setTimeout(doRestart, restartDelayMs);
+                } else {
+                    doRestart();
+                }
+            }, debounceMs);
+        });
+
+        // Hash the existing files up front so the first touch can already be skipped
+        if (contentHash) {
+            watcher.once("ready", () => seedFileHashes(watcher));
+        } else {
+            fileHashes.clear();
+        }
+
+        return watcher;
+    }
+
+    /**
+     * Creates watcher for detecting changes in the config sources and .nodelens/ ignore files
+     * Watches .nodelens/ and the project root itself (nodelens.config.*, package.json, top-level ignore files)
+     */
+    function createConfigWatcher() {
+        const paths = [configDir, projectRoot];
+        if (explicitConfigPath) paths.push(explicitConfigPath);
+
+        // Config files changed during the current debounce window
+        const changedFiles = new Set();
+
+        const watcher = chokidar.watch(paths, {
+            ...getWatcherOptions(),
+            ignoreInitial: true,
+            persistent: true,
+            depth: 0
+        });
+
+        watcher.on("all", (event, filePath) => {
+            if (isIgnoreFile(filePath)) {
+                scheduleIgnoreFilesReload();
+                return;
+            }
+
+            if (!isConfigSourceFile(filePath)) return;
+            changedFiles.add(path.resolve(filePath));
+
+            const configDebounceMs =
+                typeof DEFAULT_CONFIG.debounceDelay === "number"
+                    ? DEFAULT_CONFIG.debounceDelay
+                    : 200;
+
+            if (configDebounceTimer) clearTimeout(configDebounceTimer);
+
+            configDebounceTimer = setTimeout(() => {
+                configDebounceTimer = null;
+                // Runs from a timer: a failed reload is reported, it never takes nodeLens down
+                reloadConfig(new Set(changedFiles)).catch((err) => {
+                    logger.error(`Failed to reload the config: ${err.message}`);
+                });
+                changedFiles.clear();
+            }, configDebounceMs);
+        });
+
+        return watcher;
+    }
+
+    // Checks whether a file could be a config source (it may not be the one in use)
+    function isConfigSourceFile(filePath) {
+        const absolute = path.resolve(filePath);
+
+        return absolute === explicitConfigPath
+            || absolute === path.join(configDir, CONFIG_FILENAME)
+            || (path.dirname(absolute) === projectRoot
+                && [...JS_CONFIG_FILENAMES, "package.json"].includes(path.basename(absolute)));
+    }
+
+    // Re-resolves the config source, re-reads it and recreates the project watcher with the new rules
+    // Changes to files that neither were nor became the source in use are ignored
+    async function reloadConfig(changedFiles) {
+        const [source = null] = findConfigSources();
+        const changed = [configSource, source].find(s => s && changedFiles.has(s.path));
+
+        if (!changed) return;
+
+        logger.separator();
+        logger.info(`${changed.label} changed. Reloading config...`);
+
+        const { config: raw, problems } = source ? await loadConfigSource(source) : { config: null, problems: [] };
+
+        // Stopped while a JavaScript config was loading
+        if (!running) return;
+
+        if (problems.length > 0) {
+            reportConfigProblems(problems, logger, source.label);
+            logger.warn("Config rejected. Keeping previous...");
+            return;
+        }
+
+        if (!raw) {
+            logger.warn("Config unreadable. Keeping previous...");
+            return;
+        }
+
+        // The edit removed the profile in use
+        const profileProblem = checkProfile(activeProfile, raw);
+        if (profileProblem) {
+            logger.error(`${source.label}: ${profileProblem}`);
+            logger.warn("Config rejected. Keeping previous...");
+            return;
+        }
+
+        if (source.path !== configSource?.path) {
+            logger.info(`Using \x1b[33m${source.label}\x1b[0m`);
+        }
+
+        configSource = source;
+        applyConfig(raw);
+    }
+
+    // Rebuilds the effective config and everything derived from it (file reloads and profile switches)
+    // Restarts the server when its command line, environment or stdin changed
+    function applyConfig(raw) {
+        const previous = effectiveConfig;
+
+        sourceConfig = raw;
+        effectiveConfig = buildConfig(raw);
+        applyLogStyle();
+
+        if (JSON.stringify(getZeroDowntimeSettings()) !== JSON.stringify(zeroDowntime)) {
+            logger.warn("zeroDowntime changes apply after restarting nodeLens.");
+        }
+        loadIgnoreFiles();
+        detectPolling();
+
+        recreateProjectWatcher();
+        lens.emit("config", { ...effectiveConfig });
+
+        const execChanged = EXEC_SETTINGS.some(key =>
+            JSON.stringify(previous[key]) !== JSON.stringify(effectiveConfig[key]));
+
+        if (execChanged) {
+            logger.info("Command, environment or stdin changed. Restarting...");
+            restartServer("config");
+        }
+    }
+
+    // Debounces ignore file changes (editors often write several events)
+    function scheduleIgnoreFilesReload() {
+        if (ignoreFilesDebounceTimer) clearTimeout(ignoreFilesDebounceTimer);
+
+        ignoreFilesDebounceTimer = setTimeout(() => {
+            ignoreFilesDebounceTimer = null;
+            reloadIgnoreFiles();
+        }, DEFAULT_CONFIG.debounceDelay);
+    }
+
+    // Re-reads the ignore files and recreates the project watcher with the new rules
+    // Runs from a timer, so a failure is reported and the previous rules stay in place
+    function reloadIgnoreFiles() {
+        logger.separator();
+        logger.info("Ignore files changed. Reloading ignore rules...");
+
+        try {
+            loadIgnoreFiles();
+            recreateProjectWatcher();
+        } catch (err) {
+            logger.error(`Failed to reload the ignore files: ${err.message}`);
+        }
+    }
+
+    // Replaces the project watcher, dropping any pending change restart
+    function recreateProjectWatcher() {
+        if (restartTimer) clearTimeout(restartTimer);
+        restartTimer = null;
+        pendingChanges.clear();
+        clearActionRules();
+        if (projectWatcher) projectWatcher.close();
+
+        projectWatcher = createProjectWatcher();
+    }
+
+    // ──────────────── Server ────────────────
+
+    // Returns the full resolved command line for display
+    function getCommandLine() {
+        return formatCommand(buildExecCommand(entry, effectiveConfig, runOptions));
+    }
+
+    // Returns the configured stdin mode: "ignore", "forward" or "raw"
+    function getStdinMode() {
+        return STDIN_MODES.includes(effectiveConfig.stdin)
+            ? effectiveConfig.stdin
+            : DEFAULT_CONFIG.stdin;
+    }
+
+    // Returns the configured kill signal and timeout, falling back to defaults
+    function getKillSettings() {
+        const { killSignal, killTimeout } = effectiveConfig;
+
+        const signal =
+            typeof killSignal === "string" && killSignal in os.constants.signals
+                ? killSignal
+                : DEFAULT_CONFIG.killSignal;
+
+        const timeoutMs =
+            typeof killTimeout === "number" && killTimeout >= 0
+                ? killTimeout
+                : DEFAULT_CONFIG.killTimeout;
+
+        return { signal, timeoutMs };
+    }
+
+    // Checks whether the current server process is still alive
+    function isServerRunning() {
+        return Boolean(server && server.pid && server.exitCode === null && server.signalCode === null);
+    }
+
+    /**
+     * Stops the running server and every process in its tree
+     * Sends killSignal first and escalates to SIGKILL after killTimeout
+     * @param {import("child_process").ChildProcess} [child] - defaults to the current server
+     * @returns {Promise<void>}
+     */
+    async function stopServer(child = server) {
+        // Nothing to stop: never spawned or failed to spawn
+        if (!child || !child.pid) return;
+
+        // Direct child already gone and no workers left behind
+        const childExited = child.exitCode !== null || child.signalCode !== null;
+        if (childExited && !isTreeAlive(child.pid)) return;
+
+        const { signal, timeoutMs } = getKillSettings();
+
+        // killTimeout 0 waits indefinitely for the process tree to exit
+        const limitMs = timeoutMs > 0 ? timeoutMs : Infinity;
+        const startedAt = Date.now();
+
+        stoppingServers.add(child);
+        killTree(child.pid, signal);
+
+        const childDone = await waitForChildExit(child, limitMs);
+        const treeDone = childDone && await waitForTreeExit(child.pid, startedAt + limitMs - Date.now());
+
+        let forced = false;
+
+        if (!treeDone) {
+            forced = true;
+            logger.warn(`Server did not exit within ${timeoutMs}ms. Sending SIGKILL...`);
+            killTree(child.pid, "SIGKILL");
+
+            await waitForChildExit(child, FORCE_KILL_GRACE);
+            await waitForTreeExit(child.pid, FORCE_KILL_GRACE);
+        }
+
+        const took = Date.now() - startedAt;
+        logger.info(`Server stopped in ${took}ms${forced ? " (forced with SIGKILL)" : ""}.`);
+    }
+
+    /**
+     * Runs the prestart commands, then waits for the old server to exit before spawning a new one
+     * (or, with zeroDowntime, swaps in a new server once it's ready)
+     * A failed prestart keeps the old server; crash retries skip prestart (nothing changed)
+     * Restarts are queued so overlapping triggers never run two servers at once
+     * @param {string} reason - "change", "manual", "config" or "crash" (crash retries keep the crash history)
+     * @param {Array<{file: string, event: string}>} [changes] - the change batch behind a "change" restart
+     * @returns {Promise<void>}
+     */
+    function restartServer(reason, changes = []) {
+        if (reason !== "crash") resetCrashState();
+
+        return enqueueServerStep(async () => {
+            if (stopping) return;
+            if (reason !== "crash" && !(await runPrestart())) return;
+
+            // Only announced once it's really happening (a failed prestart keeps the old server)
+            lens.emit("restart", { reason, changes });
+
+            if (proxy && isServerRunning()) {
+                await swapServer();
+                return;
+            }
+
+            await stopServer();
+            await startServer();
+        });
+    }
+
+    // Runs a step after the queued ones; a failing step is logged and never blocks the later ones
+    function enqueueServerStep(step) {
+        restartQueue = restartQueue.then(step).catch((err) => {
+            logger.error(`Server (re)start failed: ${err.message}`);
+        });
+
+        return restartQueue;
+    }
+
+    // Starts the server (behind the zeroDowntime proxy when enabled)
+    async function startServer() {
+        const port = proxy ? await findFreePort() : null;
+        const { child } = spawnServer(port);
+
+        server = child;
+        serverPort = port;
+        if (proxy) proxy.setTarget(port);
+    }
+
+    /**
+     * Spawns a server process for the watched entry using the resolved exec command
+     * @param {number|null} port - the server's own port (zeroDowntime), passed through the port env var
+     * @param {object} [spawnOptions]
+     * @property {boolean} spawnOptions.candidate - started next to the current server (zeroDowntime)
+     * @returns {{child: import("child_process").ChildProcess, readiness: Promise<string>}}
+     */
+    function spawnServer(port, spawnOptions = {}) {
+        const { command, args } = buildExecCommand(entry, effectiveConfig, runOptions);
+
+        const capture = effectiveConfig.captureOutput === true;
+        const env = buildExecEnv(effectiveConfig);
+        const readyCheck = getReadyCheck(port);
+
+        if (port) env[zeroDowntime.env] = String(port);
+
+        // stdout patterns need to read the output even when it isn't captured
+        const pipeStdout = capture || readyCheck?.type === "stdout";
+
+        const graphFile = prepareGraph(env);
+
+        // Piped output hides the TTY from the child, so ask it to keep colours
+        if (pipeStdout && process.stdout.isTTY && env.FORCE_COLOR === undefined && env.NO_COLOR === undefined) {
+            env.FORCE_COLOR = "1";
+        }
+
+        // Raw mode hands the terminal itself to the server (TTY programs can use setRawMode),
+        // which a background process group can't read, so the server stays in nodeLens's group
+        const stdinMode = getStdinMode();
+
+        // Own process group so restarts can signal forks/workers too
+        const child = spawn(command, args, {
+            ...(stdinMode === "raw" ? {} : getTreeSpawnOptions()),
+            env,
+            stdio: [
+                STDIN_STDIO[stdinMode],
+                pipeStdout ? "pipe" : "inherit",
+                capture ? "pipe" : "inherit",
+                ...(needsIpc() || readyCheck?.type === "ipc" ? ["ipc"] : [])
+            ]
+        });
+
+        if (graphFile) graphFiles.set(child, graphFile);
+
+        // Writes after the server exited would otherwise throw EPIPE
+        if (child.stdin) child.stdin.on("error", () => {});
+
+        const { onLine: onStdoutLine, readiness } = readyCheck && child.pid
+            ? watchReadiness(child, readyCheck, spawnOptions)
+            : { onLine: () => {}, readiness: Promise.resolve(child.pid ? "ready" : "exited") };
+
+        if (!readyCheck) readyStatus = { state: "off", check: null, startedAt: null, durationMs: null };
+
+        if (capture) {
+            captureOutput(child, logger, { onLine: (line, stream) => stream === "stdout" && onStdoutLine(line) });
+        } else if (pipeStdout) {
+            teeOutput(child, onStdoutLine);
+        }
+
+        // Report runners that cannot be found (e.g. "tsx" not installed)
+        child.on("error", (err) => {
+            logger.separator();
+            logger.error(`Failed to start \`${command}\`: ${err.message}`);
+        });
+
+        // Detect abnormal process exits and report
+        child.on("exit", (code, signal) => {
+            const expected = stoppingServers.has(child);
+
+            removeGraphFile(child);
+
+            lens.emit("exit", { pid: child.pid, code, signal, expected });
+
+            // A candidate failing is reported by swapServer(), the old server keeps running
+            if (!expected && !candidates.has(child)) handleServerExit(child.pid, code, signal);
+        });
+
+        if (child.pid) {
+            lens.emit("start", { pid: child.pid, command: formatCommand({ command, args }) });
+        }
+
+        return { child, readiness };
+    }
+
+    // ──────────────── Zero Downtime ────────────────
+
+    // Reads the zeroDowntime option: false, a public port, or { port, host, env }
+    function getZeroDowntimeSettings() {
+        const option = effectiveConfig.zeroDowntime;
+        if (option === false || option === null || option === undefined) return null;
+
+        const settings = typeof option === "object" ? option : { port: option };
+        const port = Number(settings.port);
+
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            logger.warn(`Ignoring "zeroDowntime": expected a port or { "port": ... }, got ${JSON.stringify(option)}.`);
+            return null;
+        }
+
+        return {
+            port,
+            host: typeof settings.host === "string" && settings.host ? settings.host : null,
+            env: typeof settings.env === "string" && settings.env ? settings.env : "PORT"
+        };
+    }
+
+    // Opens the proxy on the public port; falls back to normal restarts when it can't listen
+    async function startProxy() {
+        zeroDowntime = getZeroDowntimeSettings();
+        if (!zeroDowntime) return;
+
+        const next = createProxy({ port: zeroDowntime.port, host: zeroDowntime.host ?? undefined });
+
+        try {
+            await next.listen();
+            proxy = next;
+            logger.info(`Zero downtime: proxying port ${zeroDowntime.port} to the server's \x1b[33m${zeroDowntime.env}\x1b[0m`);
+        } catch (err) {
+            logger.error(`Zero downtime proxy can't listen on port ${zeroDowntime.port} (${err.message}). Using normal restarts.`);
+        }
+    }
+
+    /**
+     * Starts the new server alongside the old one and only moves traffic once it's ready
+     * The old server then stops gracefully, finishing the requests it already accepted
+     * If the new server exits or isn't ready within the ready timeout, the old one keeps serving
+     */
+    async function swapServer() {
+        const previousReady = readyStatus;
+        const port = await findFreePort();
+        const { child, readiness } = spawnServer(port, { candidate: true });
+
+        candidates.add(child);
+        logger.info(`Starting the new server next to the old one (pid ${server.pid})...`);
+
+        const outcome = await readiness;
+        candidates.delete(child);
+
+        if (stopping) return;
+
+        // status() keeps describing the server that still serves traffic
+        if (outcome !== "ready") readyStatus = previousReady;
+
+        if (outcome === "timeout") {
+            logger.warn("New server not ready in time. Stopping it, the previous server keeps running.");
+            await stopServer(child);
+            return;
+        }
+
+        if (outcome !== "ready") {
+            const reason = child.signalCode ? `signal ${child.signalCode}` : `exit code ${child.exitCode}`;
+            logger.error(`New server exited before it was ready (${reason}). The previous server keeps running.`);
+            return;
+        }
+
+        const previous = server;
+
+        server = child;
+        serverPort = port;
+        proxy.setTarget(port);
+
+        logger.info("Traffic switched to the new server. Stopping the previous one...");
+        await stopServer(previous);
+    }
+
+    // Writes input to the running server's stdin ("forward" mode; in "raw" mode it reads the terminal itself)
+    function writeToServer(data) {
+        if (server && server.stdin && server.stdin.writable) {
+            server.stdin.write(data);
+        }
+    }
+
+    // ──────────────── Readiness ────────────────
+
+    /**
+     * Parses the `ready` option; an invalid one is reported and disables detection
+     * Behind the zeroDowntime proxy, the server's own port is checked by default and
+     * port/HTTP checks aimed at the public port are pointed at the server's own port
+     * @param {number|null} [port] - the server's own port (zeroDowntime)
+     */
+    function getReadyCheck(port = null) {
+        let check;
+
+        try {
+            check = parseReadyOption(effectiveConfig.ready ?? port);
+        } catch (err) {
+            logger.warn(`Ignoring "ready": ${err.message}.`);
+            check = port ? parseReadyOption(port) : null;
+        }
+
+        if (!check || !port) return check;
+
+        if (check.type === "port" && check.port === zeroDowntime.port) {
+            return { ...check, port, label: `port ${port}` };
+        }
+
+        if (check.type === "http") {
+            const url = new URL(check.url);
+            const urlPort = Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+
+            if (urlPort === zeroDowntime.port) {
+                url.port = String(port);
+                return { ...check, url: url.href, label: check.label.replace(check.url, url.href) };
+            }
+        }
+
+        return check;
+    }
+
+    /**
+     * Waits for a freshly spawned server to become ready and logs how long it took
+     * Port/HTTP checks are polled, IPC checks listen for `process.send("ready")`
+     * Warns once after the timeout but keeps waiting until the server exits;
+     * candidates (zeroDowntime) give up at the timeout instead
+     * @returns {{onLine: function(string): void, readiness: Promise<string>}} stdout line handler
+     * (used by stdout checks) and the outcome: "ready", "exited" or "timeout" (candidates only)
+     */
+    function watchReadiness(child, check, { candidate = false } = {}) {
+        const startedAt = Date.now();
+        let done = false;
+        let pollTimer = null;
+        let settle;
+
+        const readiness = new Promise(resolve => (settle = resolve));
+
+        readyStatus = { state: "waiting", check: check.label, startedAt, durationMs: null };
+
+        const finish = (outcome) => {
+            done = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(pollTimer);
+            settle(outcome);
+        };
+
+        const timeoutTimer = setTimeout(() => {
+            readyStatus.state = "timeout";
+
+            if (candidate) {
+                finish("timeout");
+                return;
+            }
+
+            logger.warn(`Server not ready after ${check.timeoutMs}ms (${check.label}). Still waiting...`);
+        }, check.timeoutMs);
+
+        const markReady = () => {
+            if (done) return;
+            finish("ready");
+
+            const durationMs = Date.now() - startedAt;
+            readyStatus = { state: "ready", check: check.label, startedAt, durationMs };
+
+            logger.success(`Ready in ${durationMs}ms.`);
+            lens.emit("ready", { pid: child.pid, durationMs });
+        };
+
+        const poll = async () => {
+            const ok = check.type === "port"
+                ? await probePort(check.port, check.host)
+                : await probeHttp(check.url, check.status);
+
+            if (ok) markReady();
+            else if (!done) pollTimer = setTimeout(poll, check.intervalMs);
+        };
+
+        child.on("exit", () => {
+            if (done) return;
+            finish("exited");
+            if (server === child || candidate) readyStatus.state = "exited";
+        });
+
+        if (check.type === "port" || check.type === "http") poll();
+
+        if (check.type === "ipc") {
+            child.on("message", (message) => {
+                if (message === "ready") markReady();
+            });
+        }
+
+        const onLine = (line) => {
+            // Coloured output (FORCE_COLOR) shouldn't break the pattern
+            if (check.type === "stdout" && check.pattern.test(line.replace(/\x1b\[[0-9;]*m/g, ""))) markReady();
+        };
+
+        return { onLine, readiness };
+    }
+
+    // ──────────────── Crash Handling ────────────────
+
+    // Returns crash restart settings, falling back to defaults for invalid values
+    function getCrashSettings() {
+        const pick = (key, min = 0) =>
+            typeof effectiveConfig[key] === "number" && effectiveConfig[key] >= min
+                ? effectiveConfig[key]
+                : DEFAULT_CONFIG[key];
+
+        const policy = CRASH_POLICIES.includes(effectiveConfig.restartOnCrash)
+            ? effectiveConfig.restartOnCrash
+            : DEFAULT_CONFIG.restartOnCrash;
+
+        return {
+            policy,
+            delayMs: pick("crashRestartDelay"),
+            maxDelayMs: pick("crashRestartMaxDelay"),
+            limit: pick("crashLimit", 1),
+            windowMs: pick("crashWindow")
+        };
+    }
+
+    // Clears crash history and any pending retry (used on manual/change restarts)
+    function resetCrashState() {
+        if (crashRetryTimer) clearTimeout(crashRetryTimer);
+        crashRetryTimer = null;
+        nextCrashRetryAt = null;
+        crashHistory = [];
+        crashLoopDetected = false;
+    }
+
+    // Returns crashes that happened inside the configured crash window
+    function getRecentCrashes() {
+        const { windowMs } = getCrashSettings();
+        const since = Date.now() - windowMs;
+        return crashHistory.filter(t => t >= since);
+    }
+
+    /**
+     * Reports unexpected server exits and schedules a restart per restartOnCrash
+     * Retries use exponential backoff and stop once crashLimit is exceeded in crashWindow
+     */
+    function handleServerExit(pid, code, signal) {
+        if (stopping) return;
+
+        const failed = Boolean(signal) || code !== 0;
+        const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+        const { policy, delayMs, maxDelayMs, limit, windowMs } = getCrashSettings();
+
+        const shouldRestart =
+            policy === "always" || (policy === "on-failure" && failed);
+
+        if (!shouldRestart) {
+            if (failed) {
+                logger.separator();
+                logger.error(`Server crashed (${reason}). Waiting for changes...`);
+                lens.emit("crash", { pid, code, signal, restartIn: null, crashLoop: false });
+            }
+            return;
+        }
+
+        crashHistory.push(Date.now());
+        crashHistory = getRecentCrashes();
+
+        logger.separator();
+
+        if (crashHistory.length > limit) {
+            crashLoopDetected = true;
+            nextCrashRetryAt = null;
+            logger.error(
+                `Crash loop detected: ${crashHistory.length} crashes within ${Math.round(windowMs / 1000)}s. ` +
+                "Auto-restart paused. Waiting for changes..."
+            );
+            lens.emit("crash", { pid, code, signal, restartIn: null, crashLoop: true });
+            return;
+        }
+
+        // 1st retry waits crashRestartDelay, then doubles up to crashRestartMaxDelay
+        const backoffMs = Math.min(delayMs * 2 ** (crashHistory.length - 1), maxDelayMs);
+
+        const label = failed ? `Server crashed (${reason})` : "Server exited";
+        logger.warn(`${label}. Restarting in ${backoffMs}ms (crash ${crashHistory.length}/${limit})...`);
+
+        if (failed) {
+            lens.emit("crash", { pid, code, signal, restartIn: backoffMs, crashLoop: false });
+        }
+
+        nextCrashRetryAt = new Date(Date.now() + backoffMs);
+        crashRetryTimer = setTimeout(() => {
+            crashRetryTimer = null;
+            nextCrashRetryAt = null;
+            restartServer("crash");
+        }, backoffMs);
+    }
+
+    // ──────────────── Public API ────────────────
+
+    /**
+     * Loads the config, runs prestart, spawns the server and starts watching for changes
+     * @returns {Promise<void>} resolves once the server was started and the watchers finished their initial scan
+     * Rejects when the config doesn't load or match the schema (the problems are logged first)
+     */
+    async function start() {
+        if (running) return;
+
+        const { problems, shadowed } = await loadEffectiveConfig();
+
+        if (problems.length > 0) {
+            reportConfigProblems(problems, logger, configSource.label);
+            logger.error("Fix the config (or run \x1b[36mnodelens config validate\x1b[0m) and start again.");
+            throw new Error(`Invalid ${configSource.label} (${problems.length} problem${problems.length === 1 ? "" : "s"})`);
+        }
+
+        const profileProblem = checkProfile(activeProfile);
+        if (profileProblem) {
+            logger.error(profileProblem);
+            throw new Error(profileProblem);
+        }
+
+        running = true;
+        stopping = false;
+        process.on("exit", killProcessesOnExit);
+
+        loadIgnoreFiles();
+
+        // The first server waits for prestart too; changes meanwhile queue behind it
+        const firstStart = enqueueServerStep(async () => {
+            await startProxy();
+            if (await runPrestart()) await startServer();
+        });
+
+        logger.separator();
+        logger.info(`\x1b[32mStarting \`${getCommandLine()}\`\x1b[0m`);
+
+        if (projectRoot !== process.cwd()) {
+            logger.info(`Project root \x1b[33m${projectRoot}\x1b[0m`);
+        }
+
+        if (configSource) {
+            logger.info(`Using \x1b[33m${configSource.label}\x1b[0m${activeProfile ? ` (profile \x1b[33m${activeProfile}\x1b[0m)` : ""}`);
+        } else {
+            logger.info("Using \x1b[33mdefault config\x1b[0m");
+        }
+
+        if (shadowed.length > 0) {
+            logger.warn(`Ignoring ${shadowed.map(s => s.label).join(", ")} (${configSource.label} takes precedence).`);
+        }
+        logger.info("Watching for file changes...");
+
+        detectPolling();
+
+        projectWatcher = createProjectWatcher();
+        configWatcher = useConfigFile ? createConfigWatcher() : null;
+
+        await Promise.all([
+            firstStart,
+            ...[projectWatcher, configWatcher].filter(Boolean).map(onceReady)
+        ]);
+    }
+
+    // Last resort when the process exits without stop() (e.g. process.exit() or an uncaught error):
+    // the servers and commands run in their own process groups, so nothing else would end them
+    function killProcessesOnExit() {
+        for (const child of [server, ...candidates, ...commandChildren]) {
+            if (!child || !child.pid) continue;
+
+            const exited = child.exitCode !== null || child.signalCode !== null;
+            if (!exited || isTreeAlive(child.pid)) killTree(child.pid, "SIGKILL");
+        }
+    }
+
+    /**
+     * Restarts the server right away (like the `rs` runtime command)
+     * @returns {Promise<void>} resolves once the new server was spawned
+     */
+    function restart() {
+        if (restartTimer) clearTimeout(restartTimer);
+        restartTimer = null;
+        pendingChanges.clear();
+
+        return restartServer("manual");
+    }
+
+    /**
+     * Closes the watchers and stops the server with its process tree
+     * @param {object} [stopOptions]
+     * @property {boolean} stopOptions.force - SIGKILL the tree instead of a graceful stop
+     * @returns {Promise<void>}
+     */
+    async function stop(stopOptions = {}) {
+        stopping = true;
+
+        if (restartTimer) clearTimeout(restartTimer);
+        if (crashRetryTimer) clearTimeout(crashRetryTimer);
+        if (configDebounceTimer) clearTimeout(configDebounceTimer);
+        if (ignoreFilesDebounceTimer) clearTimeout(ignoreFilesDebounceTimer);
+        restartTimer = null;
+        crashRetryTimer = null;
+        configDebounceTimer = null;
+        ignoreFilesDebounceTimer = null;
+
+        const watchers = [projectWatcher, configWatcher].filter(Boolean);
+        projectWatcher = null;
+        configWatcher = null;
+
+        // Running prestart steps / exec rules end with nodeLens
+        for (const child of commandChildren) killTree(child.pid, "SIGTERM");
+
+        if (stopOptions.force) {
+            for (const child of [server, ...candidates]) {
+                if (!child || !child.pid) continue;
+                stoppingServers.add(child);
+                killTree(child.pid, "SIGKILL");
+            }
+        } else {
+            await Promise.all([stopServer(), ...[...candidates].map(child => stopServer(child))]);
+        }
+
+        if (proxy) await proxy.close();
+        proxy = null;
+
+        await Promise.all(watchers.map(w => w.close()));
+        removeGraphFiles();
+
+        // Let the last hooks (e.g. "exit") finish before the process goes away
+        if (pendingHooks.size > 0) {
+            await Promise.race([
+                Promise.allSettled([...pendingHooks]),
+                new Promise(resolve => setTimeout(resolve, HOOK_STOP_TIMEOUT))
+            ]);
+        }
+        running = false;
+        process.off("exit", killProcessesOnExit);
+    }
+
+    /**
+     * Returns a snapshot of the instance state
+     * @returns {object}
+     */
+    function status() {
+        const alive = isServerRunning();
+        const crash = getCrashSettings();
+
+        return {
+            running: alive,
+            pid: alive ? server.pid : null,
+            childPids: server && server.pid && (alive || isTreeAlive(server.pid))
+                ? listDescendants(server.pid)
+                : [],
+            entry,
+            command: getCommandLine(),
+            projectRoot,
+            configPath: configSource ? configSource.path : null,
+            configSource: configSource ? { ...configSource } : null,
+            profile: activeProfile,
+            profiles: getProfileNames(),
+            config: { ...effectiveConfig },
+            ignoreFiles: [...loadedIgnoreFiles],
+            watchedPaths: projectWatcher ? countWatchedPaths(projectWatcher) : 0,
+            rules: actionRules.map(({ label, match, action, signal, message, command, restart, debounceMs }) =>
+                ({ label, match, action, signal, message, command, restart, debounceMs })),
+            prestart: { commands: getPrestartCommands(), ...prestartStatus },
+            ready: { ...readyStatus },
+            zeroDowntime: proxy
+                ? { ...zeroDowntime, serverPort, connections: proxy.getConnections(), swapping: candidates.size > 0 }
+                : null,
+            hooks: Object.fromEntries(Object.values(HOOK_EVENTS).map(name => [name, getHooks(name)])),
+            graph: isGraphMode() ? { modules: readGraph().modules.size, directories: readGraph().dirs.size } : null,
+            watcher: { ...getWatcherOptions(), pollingReason },
+            contentHash: { enabled: effectiveConfig.contentHash === true, files: fileHashes.size },
+            stdinMode: getStdinMode(),
+            kill: getKillSettings(),
+            crash: {
+                ...crash,
+                count: getRecentCrashes().length,
+                nextRetryAt: nextCrashRetryAt,
+                crashLoop: crashLoopDetected
+            },
+            lastChange: { ...lastChange }
+        };
+    }
+
+    /**
+     * Explains how the watch/ignore rules treat a path
+     * @param {string} target - path relative to the project root (or absolute)
+     * @returns {object} see matchPath()
+     */
+    function explain(target) {
+        const absolute = path.resolve(projectRoot, target);
+        const rel = toForwardSlashes(path.relative(projectRoot, absolute));
+
+        let isDir = false;
+        try {
+            isDir = fs.statSync(absolute).isDirectory();
+        } catch {
+            // Missing paths are explained as files
+        }
+
+        return matchPath(rel, isDir);
+    }
+
+    // Returns a copy of the current effective config
+    function getConfig() {
+        return { ...effectiveConfig };
+    }
+
+    /**
+     * Switches to another entry of the config's `profiles` (null for the base config)
+     * Reapplies the config like a reload, restarting the server when its command line or environment changes
+     * @param {string|null} name
+     * @returns {boolean} false when the config has no such profile (logged)
+     */
+    function setProfile(name) {
+        const profileProblem = checkProfile(name);
+
+        logger.separator();
+
+        if (profileProblem) {
+            logger.error(profileProblem);
+            return false;
+        }
+
+        logger.info(name ? `Switching to profile \x1b[33m${name}\x1b[0m...` : "Switching to the base config...");
+
+        activeProfile = name;
+        applyConfig(sourceConfig);
+        return true;
+    }
+
+    /**
+     * Applies settings on top of the config; they survive config reloads
+     * @param {object} settings - e.g. { silentLogs: true }
+     */
+    function override(settings = {}) {
+        Object.assign(overrides, settings);
+        Object.assign(effectiveConfig, settings);
+        applyLogStyle();
+    }
+
+    // ──────────────── Hook Wiring ────────────────
+
+    for (const [instanceEvent, hookName] of Object.entries(HOOK_EVENTS)) {
+        // configReload only reports that it happened, not the whole config
+        lens.on(instanceEvent, (details) => runHooks(hookName, hookName === "configReload" ? {} : details));
+    }
+
+    return Object.assign(lens, {
+        start,
+        restart,
+        stop,
+        status,
+        getConfig,
+        explain,
+        override,
+        setProfile,
+        write: writeToServer,
+        logger
+    });
+}
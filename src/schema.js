@@ -0,0 +1,483 @@
+// ================ IMPORTS ================
+
+import os from "os";
+import { getPatternError } from "./utils/patterns.js";
+import { parseReadyOption } from "./utils/ready.js";
+
+// ================ CONSTANTS ================
+
+// Supported stdin modes for the server process
+export const STDIN_MODES = ["ignore", "forward", "raw"];
+
+// Supported actions for entries of the `rules` option
+export const RULE_ACTIONS = ["restart", "signal", "exec", "none"];
+
+// Supported restartOnCrash policies
+export const CRASH_POLICIES = ["never", "always", "on-failure"];
+
+// Events the `events` option can hook into
+export const HOOK_NAMES = ["start", "restart", "crash", "exit", "configReload"];
+
+// ================ SCHEMA ================
+
+// Explains why a `ready` value can't be turned into a readiness check (e.g. a malformed URL)
+function checkReady(value) {
+    try {
+        parseReadyOption(value);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Building blocks shared by several options
+const string = { type: "string" };
+const stringList = { type: "array", items: string };
+const stringOrList = { anyOf: [string, stringList] };
+const pattern = { type: "string", pattern: true };
+const patternList = { type: "array", items: pattern };
+const boolean = { type: "boolean" };
+const milliseconds = { type: "integer", min: 0 };
+const port = { type: "integer", min: 1, max: 65535 };
+const signal = { type: "string", enum: Object.keys(os.constants.signals), label: "a signal name like \"SIGTERM\"" };
+
+/**
+ * Declared shape of every option
+ *
+ * A schema node may set:
+ * - `type`: "string", "number", "integer", "boolean", "object", "array" or "null" (or a list of them)
+ * - `enum`: allowed values; `min`/`max`: number range
+ * - `items`: schema for array items; `values`: schema for every value of a map-like object
+ * - `properties`: known object keys (others are reported), `required`: keys that must be set
+ * - `pattern`: the string must compile as a watch/ignore pattern
+ * - `check`: function returning why an otherwise valid value can't be used (null when it can)
+ * - `anyOf`: alternatives, the first one matching the value's type is used
+ * - `label`: how the expected value is described in errors
+ */
+const OPTION_SCHEMAS = {
+    exec: string,
+    execMap: { type: "object", values: string },
+    nodeArgs: { type: "array", items: { type: ["string", "number"] } },
+    env: { type: "object", values: { type: ["string", "number", "boolean"] } },
+    watch: { anyOf: [{ type: "string", enum: ["all", "graph"] }, patternList] },
+    ignore: patternList,
+    ignoreFiles: { anyOf: [{ type: "boolean", enum: [false] }, stringList] },
+    debounceDelay: milliseconds,
+    restartDelay: milliseconds,
+    contentHash: boolean,
+    rules: {
+        type: "array",
+        items: {
+            type: "object",
+            required: ["match", "action"],
+            properties: {
+                match: { anyOf: [pattern, patternList] },
+                action: { type: "string", enum: RULE_ACTIONS },
+                signal,
+                message: {},
+                command: string,
+                restart: boolean,
+                debounce: milliseconds
+            }
+        }
+    },
+    prestart: stringOrList,
+    events: {
+        type: "object",
+        properties: Object.fromEntries(HOOK_NAMES.map(name => [name, stringOrList]))
+    },
+    ready: {
+        label: "a port, an http(s) URL, a stdout pattern, \"ipc\" or an object",
+        anyOf: [
+            { type: "null" },
+            { type: "boolean", enum: [false] },
+            port,
+            { type: "string", min: 1, check: checkReady },
+            {
+                type: "object",
+                check: checkReady,
+                properties: {
+                    port,
+                    host: string,
+                    url: string,
+                    status: { type: "integer", min: 100, max: 599 },
+                    stdout: string,
+                    ipc: boolean,
+                    timeout: { type: "integer", min: 1 },
+                    interval: { type: "integer", min: 1 }
+                }
+            }
+        ]
+    },
+    zeroDowntime: {
+        label: "false, a port or { \"port\": ... }",
+        anyOf: [
+            { type: "boolean", enum: [false] },
+            port,
+            { type: "object", required: ["port"], properties: { port, host: string, env: string } }
+        ]
+    },
+    watcherOptions: {
+        type: "object",
+        properties: {
+            usePolling: { enum: [true, false, "auto"] },
+            interval: milliseconds,
+            binaryInterval: milliseconds,
+            awaitWriteFinish: {
+                anyOf: [
+                    boolean,
+                    { type: "object", properties: { stabilityThreshold: milliseconds, pollInterval: milliseconds } }
+                ]
+            },
+            followSymlinks: boolean,
+            depth: { anyOf: [{ type: "null" }, { type: "integer", min: 0 }] }
+        }
+    },
+    killSignal: signal,
+    killTimeout: milliseconds,
+    restartOnCrash: { type: "string", enum: CRASH_POLICIES },
+    crashRestartDelay: milliseconds,
+    crashRestartMaxDelay: milliseconds,
+    crashLimit: { type: "integer", min: 1 },
+    crashWindow: milliseconds,
+    logLabel: boolean,
+    logTimestamp: boolean,
+    silentLogs: boolean,
+    saveLogs: boolean,
+    captureOutput: boolean,
+    stdin: { type: "string", enum: STDIN_MODES },
+    commandPrefix: string
+};
+
+// Declared shape of the config: every option, plus `profiles` that override them by name
+export const CONFIG_SCHEMA = {
+    type: "object",
+    properties: {
+        $schema: string,
+        ...OPTION_SCHEMAS,
+        profiles: { type: "object", values: { type: "object", properties: OPTION_SCHEMAS } }
+    }
+};
+
+// ================ HELPERS ================
+
+// Returns the schema type of a value ("integer" numbers also count as "number")
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// Checks a value's type against a schema type (or list of types)
+function matchesType(value, type) {
+    if (type === undefined) return true;
+
+    const actual = typeOf(value);
+    return [type].flat().some(expected => expected === actual || (expected === "number" && actual === "integer"));
+}
+
+// Describes the expected value of a schema node, e.g. "an array of strings"
+function describeSchema(schema) {
+    if (schema.label) return schema.label;
+    if (schema.anyOf) return schema.anyOf.map(describeSchema).join(" or ");
+    if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(", ");
+
+    const names = {
+        string: "a string",
+        number: "a number",
+        integer: "a whole number",
+        boolean: "true or false",
+        object: "an object",
+        array: schema.items?.type === "string" ? "an array of strings" : "an array",
+        null: "null"
+    };
+
+    return [schema.type].flat().map(type => names[type]).join(" or ");
+}
+
+// Describes an actual value for error messages, e.g. `"dist"` or `an object`
+function describeValue(value) {
+    const type = typeOf(value);
+
+    if (type === "object") return "an object";
+    if (type === "array") return "an array";
+
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Edit distance between two strings (swapped neighbours count as one edit)
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Finds the closest known name to a misspelled one
+ * @param {string} name
+ * @param {Array<string>} candidates
+ * @returns {string|null} suggestion, or null when nothing is close enough
+ */
+export function suggestName(name, candidates) {
+    const lower = name.toLowerCase();
+    const limit = Math.max(2, Math.floor(name.length / 3));
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= limit ? best : null;
+}
+
+// Appends an object key or array index to a JSON path
+function joinPath(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+// ================ LINE LOCATOR ================
+
+/**
+ * Maps every JSON path in a (valid) JSON text to the line it starts on
+ * Object keys map to the line of the key, array items to the line of the item
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function locatePaths(text) {
+    const lines = new Map();
+    let i = 0;
+    let line = 1;
+
+    const skipSpace = () => {
+        while (i < text.length && /\s/.test(text[i])) {
+            if (text[i] === "\n") line++;
+            i++;
+        }
+    };
+
+    const readString = () => {
+        const start = i++;
+        while (text[i] !== "\"") i += text[i] === "\\" ? 2 : 1;
+        i++;
+        return JSON.parse(text.slice(start, i));
+    };
+
+    const readValue = (path) => {
+        skipSpace();
+        if (!lines.has(path)) lines.set(path, line);
+
+        if (text[i] === "{" || text[i] === "[") {
+            const isObject = text[i] === "{";
+            const close = isObject ? "}" : "]";
+            let index = 0;
+            i++;
+
+            for (;;) {
+                skipSpace();
+                if (text[i] === close) break;
+
+                if (isObject) {
+                    const keyLine = line;
+                    const childPath = joinPath(path, readString());
+                    lines.set(childPath, keyLine);
+                    skipSpace();
+                    i++; // ":"
+                    readValue(childPath);
+                } else {
+                    readValue(joinPath(path, index++));
+                }
+
+                skipSpace();
+                if (text[i] === ",") i++;
+            }
+
+            i++;
+            return;
+        }
+
+        if (text[i] === "\"") {
+            readString();
+            return;
+        }
+
+        while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    };
+
+    readValue("");
+    return lines;
+}
+
+// Finds the line of a path, falling back to its closest located parent
+function findLine(lines, path) {
+    for (let current = path; ; current = current.replace(/(\.[^.[\]]+|\[\d+\]|^[^.[\]]+)$/, "")) {
+        if (lines.has(current)) return lines.get(current);
+        if (!current) return null;
+    }
+}
+
+// ================ VALIDATION ================
+
+// Builds a "wrong value" problem, suggesting the closest allowed name for strings
+function mismatch(path, expected, value, names = []) {
+    const suggestion = typeof value === "string" ? suggestName(value, names) : null;
+
+    return {
+        path,
+        message: `expected ${expected}, got ${describeValue(value)}` +
+            (suggestion ? `. Did you mean "${suggestion}"?` : "")
+    };
+}
+
+// Lists the string values an enum (or enums of alternatives) allows
+function enumNames(schemas) {
+    return schemas.flatMap(schema => schema.enum || []).filter(value => typeof value === "string");
+}
+
+// Validates a value against a schema node, collecting { path, message } problems
+function validateNode(value, schema, path, problems) {
+    const found = problems.length;
+
+    if (schema.anyOf) {
+        const candidates = schema.anyOf.filter(option => matchesType(value, option.type));
+        const valid = candidates.find(option => {
+            const nested = [];
+            validateNode(value, option, path, nested);
+            return nested.length === 0;
+        });
+
+        if (valid) return;
+
+        // One alternative of the right type: its errors are the most precise
+        if (candidates.length === 1 && !candidates[0].enum) {
+            validateNode(value, candidates[0], path, problems);
+            return;
+        }
+
+        problems.push(mismatch(path, describeSchema(schema), value, enumNames(candidates)));
+        return;
+    }
+
+    if (!matchesType(value, schema.type)) {
+        problems.push({ path, message: `expected ${describeSchema(schema)}, got ${describeValue(value)}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const expected = schema.label || `one of ${describeSchema({ enum: schema.enum })}`;
+        problems.push(mismatch(path, expected, value, enumNames([schema])));
+        return;
+    }
+
+    if (typeof value === "number") {
+        if (schema.min !== undefined && value < schema.min) {
+            problems.push({ path, message: `must be at least ${schema.min}, got ${value}` });
+        } else if (schema.max !== undefined && value > schema.max) {
+            problems.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+        }
+    }
+
+    if (typeof value === "string" && schema.min !== undefined && value.trim().length < schema.min) {
+        problems.push({ path, message: "must not be empty" });
+    }
+
+    if (typeof value === "string" && schema.pattern) {
+        const error = getPatternError(value);
+        if (error) problems.push({ path, message: `invalid pattern ${describeValue(value)} (${error})` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), problems));
+    }
+
+    if (typeOf(value) === "object") {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) problems.push({ path, message: `"${key}" is required` });
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const childPath = joinPath(path, key);
+
+            if (schema.properties) {
+                const known = Object.keys(schema.properties);
+
+                if (!known.includes(key)) {
+                    const suggestion = suggestName(key, known);
+                    problems.push({
+                        path: childPath,
+                        message: `unknown option${suggestion ? `. Did you mean "${suggestion}"?` : ""}`
+                    });
+                    continue;
+                }
+
+                validateNode(item, schema.properties[key], childPath, problems);
+            } else if (schema.values) {
+                validateNode(item, schema.values, childPath, problems);
+            }
+        }
+    }
+
+    // Only values that are well-formed so far get the deeper check
+    if (schema.check && problems.length === found) {
+        const error = schema.check(value);
+        if (error) problems.push({ path, message: error });
+    }
+}
+
+/**
+ * Checks a parsed config against CONFIG_SCHEMA
+ * @param {*} config - parsed nl.config.json
+ * @param {string} [text] - the raw file, to report line numbers
+ * @param {string} [root] - where the config sits inside the file (e.g. "nodelens" in package.json)
+ * @returns {Array<{path: string, message: string, line: number|null}>} problems (empty when valid)
+ */
+export function validateConfig(config, text = "", root = "") {
+    const problems = [];
+    validateNode(config, CONFIG_SCHEMA, "", problems);
+
+    let lines = null;
+    try {
+        lines = text ? locatePaths(text) : null;
+    } catch {
+        // Line numbers are a nicety, never fail validation over them
+    }
+
+    return problems.map(problem => ({
+        ...problem,
+        line: lines ? findLine(lines, root ? joinPath(root, problem.path).replace(/\.$/, "") : problem.path) : null
+    }));
+}
+
+/**
+ * Formats a problem as one line, e.g. `debounceDeley (line 9): unknown option. Did you mean "debounceDelay"?`
+ * @param {{path: string|null, message: string, line: number|null}} problem - a null path isn't tied to an option
+ * @returns {string}
+ */
+export function formatProblem({ path, message, line }) {
+    if (path === null) return message;
+
+    const where = [path || "config", line ? `(line ${line})` : ""].filter(Boolean).join(" ");
+    return `${where}: ${message}`;
+}
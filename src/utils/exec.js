@@ -0,0 +1,166 @@
+// ================ IMPORTS ================
+
+import fs from "fs";
+import path from "path";
+
+// ================ CONSTANTS ================
+
+// Placeholder replaced with the entry inside exec templates
+const ENTRY_PLACEHOLDER = "{entry}";
+
+// ================ HELPERS ================
+
+// Splits a command string into arguments, honouring single and double quotes
+export function splitCommand(str) {
+    const args = [];
+    let current = "";
+    let quote = null;
+    let hasToken = false;
+
+    for (const char of String(str)) {
+        if (quote) {
+            if (char === quote) quote = null;
+            else current += char;
+            continue;
+        }
+
+        if (char === "\"" || char === "'") {
+            quote = char;
+            hasToken = true;
+            continue;
+        }
+
+        if (/\s/.test(char)) {
+            if (hasToken) args.push(current);
+            current = "";
+            hasToken = false;
+            continue;
+        }
+
+        current += char;
+        hasToken = true;
+    }
+
+    if (hasToken) args.push(current);
+    return args;
+}
+
+// Wraps an argument in quotes for display when it contains whitespace
+function quoteArg(arg) {
+    return /\s/.test(arg) ? `"${arg}"` : arg;
+}
+
+// Checks whether a command starts the Node.js binary itself
+function isNodeCommand(command) {
+    const base = path.basename(String(command)).toLowerCase();
+    return base === "node" || base === "node.exe";
+}
+
+// Normalizes an execMap key to a lowercase extension with a leading dot
+function normalizeExtension(ext) {
+    const lower = String(ext).trim().toLowerCase();
+    return lower.startsWith(".") ? lower : `.${lower}`;
+}
+
+// ================ ENTRY DETECTION ================
+
+/**
+ * Checks whether the entry is a command (e.g. "python3 worker.py") rather than a file
+ * @param {string} entry
+ * @returns {boolean}
+ */
+export function isCommandEntry(entry) {
+    if (!entry) return false;
+    return /\s/.test(entry.trim()) && !fs.existsSync(path.resolve(entry));
+}
+
+// ================ COMMAND BUILDER ================
+
+/**
+ * Picks the exec template for an entry
+ * Precedence: --exec flag > command entry > execMap match > config exec
+ * @returns {string|null} template, or null when the entry should run as-is
+ */
+function resolveTemplate(entry, config, execOverride) {
+    if (execOverride) return execOverride;
+
+    // A command already names its runner (e.g. "python3 worker.py"), execMap must not wrap it
+    if (isCommandEntry(entry)) return null;
+
+    if (entry && config.execMap && typeof config.execMap === "object") {
+        const ext = path.extname(entry).toLowerCase();
+
+        for (const [key, runner] of Object.entries(config.execMap)) {
+            if (ext && normalizeExtension(key) === ext) return runner;
+        }
+    }
+
+    return typeof config.exec === "string" && config.exec.trim()
+        ? config.exec
+        : "node {entry}";
+}
+
+/**
+ * Builds the command and arguments used to spawn the child process
+ * @param {string|null} entry - entry file or command
+ * @param {object} config - effective config (exec, execMap, nodeArgs)
+ * @param {object} [overrides]
+ * @property {string|null} overrides.exec - template passed with --exec
+ * @property {Array<string>} overrides.scriptArgs - arguments passed after `--`
+ * @returns {{command: string, args: Array<string>}}
+ */
+export function buildExecCommand(entry, config, overrides = {}) {
+    const template = resolveTemplate(entry, config, overrides.exec);
+    const scriptArgs = Array.isArray(overrides.scriptArgs) ? overrides.scriptArgs : [];
+
+    const resolved = template === null
+        ? splitCommand(entry)
+        : applyTemplate(template, entry);
+
+    const [command, ...args] = resolved;
+
+    // Node flags (e.g. --inspect) go right after the node binary
+    const nodeArgs = isNodeCommand(command) && Array.isArray(config.nodeArgs)
+        ? config.nodeArgs.map(String)
+        : [];
+
+    return { command, args: [...nodeArgs, ...args, ...scriptArgs] };
+}
+
+// Expands an exec template into command tokens for the given entry
+function applyTemplate(template, entry) {
+    const tokens = splitCommand(template);
+    const hasPlaceholder = tokens.some(t => t.includes(ENTRY_PLACEHOLDER));
+
+    const resolved = hasPlaceholder
+        ? tokens.map(t => t.split(ENTRY_PLACEHOLDER).join(entry || ""))
+        : tokens;
+
+    // Runners without a placeholder (e.g. "tsx") get the entry appended
+    if (!hasPlaceholder && entry) resolved.push(entry);
+
+    return resolved.filter(t => t !== "");
+}
+
+/**
+ * Builds the child environment by merging the config env into process.env
+ * @param {object} config - effective config (env)
+ * @returns {object}
+ */
+export function buildExecEnv(config) {
+    const env = { ...process.env };
+
+    if (config.env && typeof config.env === "object") {
+        for (const [key, value] of Object.entries(config.env)) {
+            if (value === null || value === undefined) delete env[key];
+            else env[key] = String(value);
+        }
+    }
+
+    return env;
+}
+
+// Formats a built command as a single printable command line
+export function formatCommand({ command, args }) {
+    return [command, ...args].map(quoteArg).join(" ");
+}
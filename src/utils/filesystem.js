@@ -0,0 +1,132 @@
+// ================ IMPORTS ================
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// ================ CONSTANTS ================
+
+// Network filesystems: changes made by other machines never raise local events
+const NETWORK_FS_TYPES = ["nfs", "nfs4", "cifs", "smbfs", "smb3", "afs", "ncpfs", "fuse.sshfs"];
+
+// Host folders shared into containers/VMs (Docker Desktop, WSL, VirtualBox...)
+const SHARED_FS_TYPES = [
+    "9p", "virtiofs", "fuse.grpcfuse", "fakeowner", "osxfs",
+    "vboxsf", "drvfs", "prl_fs", "vmhgfs", "fuse.vmhgfs-fuse"
+];
+
+// ================ HELPERS ================
+
+// Decodes octal escapes used in /proc/mounts (e.g. "\040" for spaces)
+function decodeMountPath(str) {
+    return str.replace(/\\([0-7]{3})/g, (_, code) => String.fromCharCode(parseInt(code, 8)));
+}
+
+// Reads the mount table as [{ mountPoint, type }] (Linux only)
+function readMounts() {
+    try {
+        return fs.readFileSync("/proc/mounts", "utf8")
+            .split("\n")
+            .map(line => line.split(" "))
+            .filter(parts => parts.length >= 3)
+            .map(([, mountPoint, type]) => ({ mountPoint: decodeMountPath(mountPoint), type }));
+    } catch {
+        return [];
+    }
+}
+
+// Finds the mount a path lives on (the longest matching mount point)
+function findMount(dir, mounts) {
+    let found = null;
+
+    for (const mount of mounts) {
+        const rel = path.relative(mount.mountPoint, dir);
+        const inside = !rel.startsWith("..") && !path.isAbsolute(rel);
+
+        if (inside && (!found || mount.mountPoint.length >= found.mountPoint.length)) {
+            found = mount;
+        }
+    }
+
+    return found;
+}
+
+// Checks the usual markers left by Docker, Podman and Kubernetes
+function isContainer() {
+    if (fs.existsSync("/.dockerenv") || fs.existsSync("/run/.containerenv")) return true;
+
+    try {
+        return /docker|kubepods|containerd|lxc/.test(fs.readFileSync("/proc/1/cgroup", "utf8"));
+    } catch {
+        return false;
+    }
+}
+
+// ================ DETECTION ================
+
+/**
+ * Checks whether a folder lives on a filesystem where native change events
+ * don't arrive reliably (network mounts, host folders shared into containers/VMs)
+ * @param {string} dir
+ * @returns {string|null} human-readable reason, or null when native events work
+ */
+export function detectPollingReason(dir) {
+    if (process.platform !== "linux") return null;
+
+    let realDir = dir;
+    try {
+        realDir = fs.realpathSync(dir);
+    } catch {
+        // Keep the given path
+    }
+
+    const mount = findMount(realDir, readMounts());
+    if (!mount) return null;
+
+    if (NETWORK_FS_TYPES.includes(mount.type)) {
+        return `${mount.type} network mount`;
+    }
+
+    if (SHARED_FS_TYPES.includes(mount.type)) {
+        return isContainer()
+            ? `${mount.type} bind mount inside a container`
+            : `${mount.type} shared folder`;
+    }
+
+    return null;
+}
+
+// ================ HASHING ================
+
+/**
+ * Hashes a file's content (used to tell real edits from touches)
+ * @param {string} file
+ * @returns {string|null} sha1 hex digest, or null when the file can't be read
+ */
+export function hashFile(file) {
+    try {
+        return crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
+    } catch {
+        return null;
+    }
+}
+
+// ================ LOOKUP ================
+
+/**
+ * Walks up from a directory to the nearest one containing any of the given names
+ * @param {string} startDir
+ * @param {Array<string>} names - files or folders that mark the directory
+ * @returns {string|null} the directory, or null when no parent has one
+ */
+export function findUp(startDir, names) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        if (names.some(name => fs.existsSync(path.join(dir, name)))) return dir;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
@@ -11,18 +11,11 @@ const COLORS = {
     warn: "\x1b[33m",
     info: "\x1b[36m",
     success: "\x1b[32m",
+    app: "\x1b[90m",
 
     reset: "\x1b[0m"
 };
 
-// ================ LOGGER STATE ================
-
-let logLabel = true;
-let logTimestamp = false;
-let silentLogs = false;
-
-let logFilePath = null;
-
 // Regex used to strip ANSI color codes before writing to file
 const ANSI_REGEX = /\x1b\[[0-9;]*m/g;
 
@@ -37,122 +30,171 @@ function getTimestamp() {
     return `${hh}:${mm}:${ss}`;
 }
 
-// ================ CONFIGURATION ================
+// Formats message for file output (no colors)
+function formatForFile(label, msg) {
+    const timestampPart = `[${getTimestamp()}] `;
+    const labelPart = `[${label}] `;
+    return `NL ${timestampPart}${labelPart}${msg}`;
+}
+
+// ================ LOGGER FACTORY ================
 
 /**
- * Updates logger display and file-saving options
- * @param {Object} options
- * @property {boolean} logLabel - Whether to include [LABEL] prefix
- * @property {boolean} logTimestamp - Whether to show timestamp
- * @property {boolean} silentLogs - Suppress non-error logs
- * @property {boolean} saveLogs - Save output to .nodelens/nodelens.txt
+ * Creates a logger with its own style and log file
+ * Each nodeLens instance gets one, so instances don't share logger state
+ * @returns {object} logger with log methods and setStyle()
  */
-export function setLogStyle(options = {}) {
-    if (typeof options.logLabel === "boolean") {
-        logLabel = options.logLabel;
-    }
+export function createLogger() {
+
+    // ──────────────── Logger State ────────────────
+
+    let logLabel = true;
+    let logTimestamp = false;
+    let silentLogs = false;
+
+    let logFilePath = null;
+
+    // ──────────────── Configuration ────────────────
+
+    /**
+     * Updates logger display and file-saving options
+     * @param {Object} options
+     * @property {boolean} logLabel - Whether to include [LABEL] prefix
+     * @property {boolean} logTimestamp - Whether to show timestamp
+     * @property {boolean} silentLogs - Suppress non-error logs
+     * @property {boolean} saveLogs - Save output to .nodelens/nodelens.txt
+     * @property {string} logFile - Log file path used by saveLogs (nothing is saved without one)
+     */
+    function setStyle(options = {}) {
+        if (typeof options.logLabel === "boolean") {
+            logLabel = options.logLabel;
+        }
 
-    if (typeof options.logTimestamp === "boolean") {
-        logTimestamp = options.logTimestamp;
-    }
+        if (typeof options.logTimestamp === "boolean") {
+            logTimestamp = options.logTimestamp;
+        }
 
-    if (typeof options.silentLogs === "boolean") {
-        silentLogs = options.silentLogs;
-    }
+        if (typeof options.silentLogs === "boolean") {
+            silentLogs = options.silentLogs;
+        }
 
-    // Handle enabling/disabling of file saving
-    if (typeof options.saveLogs === "boolean") {
-        if (options.saveLogs) {
-            const dir = path.join(process.cwd(), ".nodelens");
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir);
+        // Handle enabling/disabling of file saving
+        // The file lives in the project root's .nodelens/, which only the caller knows
+        if (typeof options.saveLogs === "boolean") {
+            if (options.saveLogs && typeof options.logFile === "string") {
+                const dir = path.dirname(options.logFile);
+                if (!fs.existsSync(dir)) {
+                    fs.mkdirSync(dir, { recursive: true });
+                }
+                logFilePath = options.logFile;
+            } else {
+                logFilePath = null;
             }
-            logFilePath = path.join(dir, "nodelens.txt");
-        } else {
-            logFilePath = null;
         }
     }
-}
 
-// ================ FORMATTERS ================
+    // ──────────────── Formatters ────────────────
 
-// Determine whether a message should be printed to console
-function shouldPrint(label) {
-    if (silentLogs) {
-        return label === "ERROR" || label === "WARN";
+    // Determine whether a message should be printed to console
+    function shouldPrint(label) {
+        if (silentLogs) {
+            return label === "ERROR" || label === "WARN";
+        }
+        return true;
     }
-    return true;
-}
 
-// Formats console output (colorized and prefixed)
-function format(prefixColor, label, msg) {
-    const timestampPart = logTimestamp ? `[${getTimestamp()}] ` : "";
-    const labelPart = logLabel ? `[${label}] ` : "";
-    return `NL ${timestampPart}${prefixColor}${labelPart}${COLORS.reset}${msg}`;
-}
-
-// Formats message for file output (no colors)
-function formatForFile(label, msg) {
-    const timestampPart = `[${getTimestamp()}] `;
-    const labelPart = `[${label}] `;
-    return `NL ${timestampPart}${labelPart}${msg}`;
-}
+    // Formats console output (colorized and prefixed)
+    function format(prefixColor, label, msg) {
+        const timestampPart = logTimestamp ? `[${getTimestamp()}] ` : "";
+        const labelPart = logLabel ? `[${label}] ` : "";
+        return `NL ${timestampPart}${prefixColor}${labelPart}${COLORS.reset}${msg}`;
+    }
 
-// Append formatted log message to file
-function writeToFile(label, msg) {
-    if (!logFilePath) return;
+    // Append formatted log message to file
+    function writeToFile(label, msg) {
+        if (!logFilePath) return;
 
-    try {
-        const fileLine = formatForFile(label, msg).replace(ANSI_REGEX, "") + "\n";
-        fs.appendFileSync(logFilePath, fileLine, "utf8");
-    } catch (err) {
-        console.error("Logger file write failed:", err.message);
+        try {
+            const fileLine = formatForFile(label, msg).replace(ANSI_REGEX, "") + "\n";
+            fs.appendFileSync(logFilePath, fileLine, "utf8");
+        } catch (err) {
+            console.error("Logger file write failed:", err.message);
+        }
     }
-}
 
-// ================ LOG METHODS ================
-
-export const log = {
-    // Log error messages (always shown)
-    error(msg) {
-        writeToFile("ERROR", msg);
-        if (!shouldPrint("ERROR")) return;
-        console.log(format(COLORS.error, "ERROR", msg));
-    },
-
-    // Log warnings (shown unless silentLogs hides them)
-    warn(msg) {
-        writeToFile("WARN", msg);
-        if (!shouldPrint("WARN")) return;
-        console.log(format(COLORS.warn, "WARN", msg));
-    },
-
-    // Log general information
-    info(msg) {
-        writeToFile("INFO", msg);
-        if (!shouldPrint("INFO")) return;
-        console.log(format(COLORS.info, "INFO", msg));
-    },
-
-    // Log success messages
-    success(msg) {
-        writeToFile("SUCCESS", msg);
-        if (!shouldPrint("SUCCESS")) return;
-        console.log(format(COLORS.success, "SUCCESS", msg));
-    },
-
-    // Print a separator line for visual grouping
-    separator() {
-        if (!shouldPrint("INFO")) return;
-        const line = "─────────────────────────";
-        console.log(line);
-
-        if (logFilePath) {
-            try {
-                fs.appendFileSync(logFilePath, line + "\n", "utf8");
-            } catch (err) {
-                console.error("Logger file write failed:", err.message);
+    // ──────────────── Log Methods ────────────────
+
+    return {
+        setStyle,
+
+        // Log error messages (always shown)
+        error(msg) {
+            writeToFile("ERROR", msg);
+            if (!shouldPrint("ERROR")) return;
+            console.log(format(COLORS.error, "ERROR", msg));
+        },
+
+        // Log warnings (shown unless silentLogs hides them)
+        warn(msg) {
+            writeToFile("WARN", msg);
+            if (!shouldPrint("WARN")) return;
+            console.log(format(COLORS.warn, "WARN", msg));
+        },
+
+        // Log general information
+        info(msg) {
+            writeToFile("INFO", msg);
+            if (!shouldPrint("INFO")) return;
+            console.log(format(COLORS.info, "INFO", msg));
+        },
+
+        // Log success messages
+        success(msg) {
+            writeToFile("SUCCESS", msg);
+            if (!shouldPrint("SUCCESS")) return;
+            console.log(format(COLORS.success, "SUCCESS", msg));
+        },
+
+        // Log a line of child process output ([APP] for stdout, [APP:ERR] for stderr)
+        // App output is never hidden by silentLogs and keeps its own colours on the console
+        // `source` relabels output of other commands, e.g. [BUILD] for prestart steps
+        app(msg, stream = "stdout", source = "APP") {
+            const isErr = stream === "stderr";
+            const label = isErr ? `${source}:ERR` : source;
+
+            writeToFile(label, msg);
+
+            const line = format(isErr ? COLORS.error : COLORS.app, label, msg);
+            if (isErr) console.error(line);
+            else console.log(line);
+        },
+
+        // Print a separator line for visual grouping
+        separator() {
+            if (!shouldPrint("INFO")) return;
+            const line = "─────────────────────────";
+            console.log(line);
+
+            if (logFilePath) {
+                try {
+                    fs.appendFileSync(logFilePath, line + "\n", "utf8");
+                } catch (err) {
+                    console.error("Logger file write failed:", err.message);
+                }
             }
         }
-    }
-};
+    };
+}
+
+// ================ DEFAULT LOGGER ================
+
+// Shared logger used by the CLI
+export const log = createLogger();
+
+/**
+ * Updates the default logger's display and file-saving options
+ * @param {Object} options - see createLogger().setStyle
+ */
+export function setLogStyle(options = {}) {
+    log.setStyle(options);
+}
@@ -0,0 +1,75 @@
+// ================ OUTPUT CAPTURE ================
+
+/**
+ * Pipes a child's stdout/stderr through the logger line by line
+ * Partial lines are buffered per stream; when one stream emits data, the other
+ * stream's pending partial line is flushed first so output keeps arrival order
+ * @param {import("child_process").ChildProcess} child - spawned with piped stdout/stderr
+ * @param {object} logger - logger instance that prints and saves each line
+ * @param {object} [options]
+ * @property {string} options.label - log label, e.g. "APP" or "BUILD" (stderr gets ":ERR")
+ * @property {function(string, string): void} options.onLine - called with (line, stream) for each line
+ */
+export function captureOutput(child, logger, options = {}) {
+    const { label = "APP", onLine = () => {} } = options;
+    const pending = { stdout: "", stderr: "" };
+
+    const emit = (stream, line) => {
+        logger.app(line, stream, label);
+        onLine(line, stream);
+    };
+
+    const flush = (stream) => {
+        if (!pending[stream]) return;
+        emit(stream, pending[stream]);
+        pending[stream] = "";
+    };
+
+    const attach = (stream) => {
+        const source = child[stream];
+        if (!source) return;
+
+        const other = stream === "stdout" ? "stderr" : "stdout";
+        source.setEncoding("utf8");
+
+        source.on("data", (chunk) => {
+            flush(other);
+
+            const lines = (pending[stream] + chunk).split(/\r?\n/);
+            pending[stream] = lines.pop();
+
+            for (const line of lines) emit(stream, line);
+        });
+
+        source.on("end", () => flush(stream));
+    };
+
+    attach("stdout");
+    attach("stderr");
+}
+
+/**
+ * Forwards a child's stdout unchanged while reporting each complete line
+ * Used when output isn't captured but still has to be read (e.g. `ready` stdout patterns)
+ * @param {import("child_process").ChildProcess} child - spawned with piped stdout
+ * @param {function(string): void} onLine
+ */
+export function teeOutput(child, onLine) {
+    if (!child.stdout) return;
+
+    let pending = "";
+    child.stdout.setEncoding("utf8");
+
+    child.stdout.on("data", (chunk) => {
+        process.stdout.write(chunk);
+
+        const lines = (pending + chunk).split(/\r?\n/);
+        pending = lines.pop();
+
+        for (const line of lines) onLine(line);
+    });
+
+    child.stdout.on("end", () => {
+        if (pending) onLine(pending);
+    });
+}
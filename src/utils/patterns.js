@@ -0,0 +1,341 @@
+// ================ IMPORTS ================
+
+import path from "path";
+
+// ================ CONSTANTS ================
+
+// Explicit regex form: "/source/flags"
+export const REGEX_FORM = /^\/(.+)\/([dgimsuy]*)$/;
+
+// ================ HELPERS ================
+
+// Escapes a single character (or string) for use inside a RegExp
+export function escapeRegExp(str) {
+    return str.replace(/[.+?^${}()|[\]\\*]/g, "\\$&");
+}
+
+/**
+ * Converts a gitignore-style glob body into a RegExp source
+ * Supports `*`, `?`, `**`, character classes (`[abc]`, `[!abc]`) and `\` escapes
+ */
+function globToRegExpSource(glob) {
+    let source = "";
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === "*") {
+            const atSegmentStart = i === 0 || glob[i - 1] === "/";
+
+            if (glob[i + 1] === "*" && atSegmentStart) {
+                // "**/" matches zero or more directories
+                if (glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 2;
+                    continue;
+                }
+
+                // Trailing "**" matches everything inside
+                if (i + 2 === glob.length) {
+                    source += ".*";
+                    i += 1;
+                    continue;
+                }
+            }
+
+            // Collapse "**" inside a segment to a single "*"
+            while (glob[i + 1] === "*") i++;
+            source += "[^/]*";
+            continue;
+        }
+
+        if (char === "?") {
+            source += "[^/]";
+            continue;
+        }
+
+        if (char === "[") {
+            // "]" right after "[" (or "[!") is a literal member of the class
+            const start = glob[i + 1] === "!" ? i + 2 : i + 1;
+            const end = glob.indexOf("]", start + 1);
+
+            if (end === -1) {
+                source += "\\[";
+                continue;
+            }
+
+            let members = glob.slice(i + 1, end).replace(/[\\\]]/g, "\\$&");
+            if (members.startsWith("!")) members = "^" + members.slice(1);
+
+            source += `[${members}]`;
+            i = end;
+            continue;
+        }
+
+        if (char === "\\" && i + 1 < glob.length) {
+            source += escapeRegExp(glob[i + 1]);
+            i++;
+            continue;
+        }
+
+        source += escapeRegExp(char);
+    }
+
+    return source;
+}
+
+// Builds a rule matcher from a RegExp (tested against the whole relative path)
+// Regexes can't be analysed, so they may always match inside any folder
+function createRegexRule(pattern, regex, negate) {
+    return {
+        pattern,
+        negate,
+        type: "regex",
+        test: (rel) => {
+            regex.lastIndex = 0;
+            return regex.test(rel);
+        },
+        canMatchInside: () => true
+    };
+}
+
+/**
+ * Checks whether an anchored glob could match a path strictly inside a folder
+ * Compares the glob segment by segment with the folder path; `**` can match anything
+ */
+function createInsideMatcher(glob) {
+    const segments = glob.split("/").map(segment =>
+        segment === "**" ? null : new RegExp(`^${globToRegExpSource(segment)}$`)
+    );
+
+    return (relDir) => {
+        const dirSegments = relDir.split("/");
+
+        for (let i = 0; i < dirSegments.length; i++) {
+            if (i >= segments.length) return false;
+            if (segments[i] === null) return true;
+            if (!segments[i].test(dirSegments[i])) return false;
+        }
+
+        return segments.length > dirSegments.length;
+    };
+}
+
+// Limits a rule to paths inside `base` and tests them relative to it
+// `root` is the absolute folder both `base` and tested paths are relative to
+function scopeRule(rule, base, root) {
+    if (!base) return rule;
+
+    const absBase = path.posix.resolve(root, base);
+
+    return {
+        ...rule,
+        base,
+        test: (rel, isDir = false) => {
+            const inner = path.posix.relative(absBase, path.posix.resolve(root, rel));
+            if (!inner || inner.startsWith("..")) return false;
+            return rule.test(inner, isDir);
+        },
+        canMatchInside: (relDir) => {
+            const inner = path.posix.relative(absBase, path.posix.resolve(root, relDir));
+
+            // The folder holds (or is) the base: anything below the base may match
+            if (!inner || inner.split("/").every(segment => segment === "..")) return true;
+            if (inner.startsWith("..")) return false;
+            return rule.canMatchInside(inner);
+        }
+    };
+}
+
+// ================ PATTERN COMPILER ================
+
+/**
+ * Compiles a watch/ignore pattern into a rule
+ *
+ * Glob (gitignore-style):
+ * - `*`, `?`, `[a-z]`, `[!a-z]` match within one path segment, `**` across segments
+ * - a pattern with a `/` (other than a trailing one) is anchored to the project root,
+ *   otherwise it matches at any depth (e.g. `build` matches `build` and `src/build`)
+ * - a trailing `/` matches directories only
+ * - a leading `!` negates the rule
+ * - matching a directory also matches everything inside it
+ *
+ * Regex: `"/source/flags"` or a RegExp object, tested against the whole relative path
+ *
+ * A glob that still isn't a valid RegExp once converted (e.g. `[z-a]`, which git accepts)
+ * is skipped: `options.onInvalid` is told why and null is returned
+ *
+ * @param {string|RegExp} pattern
+ * @param {string} [origin] - where the pattern came from (e.g. "ignore"), for reporting
+ * @param {object} [options]
+ * @property {boolean} options.globOnly - never read `"/.../"` as a regex (ignore files)
+ * @property {function(string, string): void} options.onInvalid - called with the skipped pattern and the reason
+ * @returns {{pattern: string, origin: string, negate: boolean, type: string, test: function(string, boolean): boolean}|null}
+ */
+export function compilePattern(pattern, origin = "", options = {}) {
+    try {
+        return buildRule(pattern, origin, options);
+    } catch (err) {
+        options.onInvalid?.(String(pattern), describeRegExpError(err));
+        return null;
+    }
+}
+
+/**
+ * Checks whether a pattern compiles
+ * @param {string|RegExp} pattern
+ * @param {object} [options] - see compilePattern()
+ * @returns {string|null} why the pattern is invalid, or null when it compiles
+ */
+export function getPatternError(pattern, options = {}) {
+    let error = null;
+    compilePattern(pattern, "", { ...options, onInvalid: (_, reason) => { error = reason; } });
+    return error;
+}
+
+// Keeps the reason of a RegExp SyntaxError, without the converted source it quotes
+function describeRegExpError(err) {
+    return err.message.split(": ").pop();
+}
+
+// Compiles a pattern into a rule, throwing when the converted glob isn't a valid RegExp
+function buildRule(pattern, origin, options) {
+    if (pattern instanceof RegExp) {
+        return { ...createRegexRule(String(pattern), pattern, false), origin };
+    }
+
+    const raw = String(pattern).trim();
+    let str = raw;
+    let negate = false;
+
+    if (str.startsWith("!")) {
+        negate = true;
+        str = str.slice(1);
+    }
+
+    const regexParts = options.globOnly ? null : REGEX_FORM.exec(str);
+
+    if (regexParts) {
+        try {
+            const regex = new RegExp(regexParts[1], regexParts[2]);
+            return { ...createRegexRule(raw, regex, negate), origin };
+        } catch {
+            // Not a valid regex, fall through and treat it as a glob
+        }
+    }
+
+    const dirOnly = str.endsWith("/");
+    str = str.replace(/\/+$/, "");
+
+    const anchored = str.startsWith("/") || str.includes("/");
+    str = str.replace(/^\/+/, "");
+
+    // Empty patterns never match
+    if (!str) {
+        return { pattern: raw, origin, negate, type: "glob", test: () => false, canMatchInside: () => false };
+    }
+
+    const body = globToRegExpSource(str);
+    const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+
+    // Unanchored globs match at any depth, so they may always match inside a folder
+    const canMatchInside = anchored ? createInsideMatcher(str) : () => true;
+
+    return {
+        pattern: raw,
+        origin,
+        negate,
+        type: "glob",
+        test: (rel, isDir = false) => {
+            if (regex.test(rel) && (!dirOnly || isDir)) return true;
+
+            // A matched parent directory covers everything inside it
+            const segments = rel.split("/");
+            for (let i = 1; i < segments.length; i++) {
+                if (regex.test(segments.slice(0, i).join("/"))) return true;
+            }
+
+            return false;
+        },
+        canMatchInside
+    };
+}
+
+/**
+ * Compiles a list (or single) pattern into rules
+ * @param {string|RegExp|Array<string|RegExp>} patterns
+ * @param {string} [origin]
+ * @param {object} [options]
+ * @property {string} options.base - folder the patterns are relative to (from the project root, may start with "../")
+ * @property {string} options.root - absolute project root, needed when base starts with "../"
+ * @property {boolean} options.globOnly - see compilePattern()
+ * @property {function(string, string): void} options.onInvalid - see compilePattern()
+ * @returns {Array<object>} rules of the valid patterns
+ */
+export function compilePatterns(patterns, origin = "", options = {}) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+
+    return list
+        .filter(p => p !== null && p !== undefined && String(p).trim() !== "")
+        .map(p => compilePattern(p, origin, options))
+        .filter(Boolean)
+        .map(rule => scopeRule(rule, options.base || "", options.root || ""));
+}
+
+/**
+ * Reads the patterns out of a .gitignore-style file
+ * Skips blank lines and `#` comments and trims unescaped trailing spaces
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+export function parseIgnoreFile(content) {
+    return content
+        .split(/\r?\n/)
+        .map(line => line.replace(/(?<!\\)\s+$/, ""))
+        .filter(line => line && !line.startsWith("#"));
+}
+
+// ================ MATCHING ================
+
+/**
+ * Finds the rule that decides a path: the last matching one wins (like .gitignore)
+ * @param {Array<object>} rules
+ * @param {string} rel - path relative to the project root, with forward slashes
+ * @param {boolean} [isDir]
+ * @returns {object|null} deciding rule, or null when nothing matched
+ */
+export function findMatchingRule(rules, rel, isDir = false) {
+    let matched = null;
+
+    for (const rule of rules) {
+        if (rule.test(rel, isDir)) matched = rule;
+    }
+
+    return matched;
+}
+
+/**
+ * Checks whether a path is matched by a rule list (negated rules un-match)
+ * @returns {boolean}
+ */
+export function matchesRules(rules, rel, isDir = false) {
+    const rule = findMatchingRule(rules, rel, isDir);
+    return Boolean(rule && !rule.negate);
+}
+
+/**
+ * Decides a whole folder at once, so watchers can skip traversing it
+ * A rule matching the folder matches everything inside it, so only later rules
+ * of the opposite kind that could match deeper paths leave the outcome open
+ * @param {Array<object>} rules
+ * @param {string} relDir - folder relative to the project root
+ * @returns {boolean|null} true/false when every path inside is matched/unmatched, null when mixed
+ */
+export function resolveDirectory(rules, relDir) {
+    const deciding = findMatchingRule(rules, relDir, true);
+    const matched = Boolean(deciding && !deciding.negate);
+    const later = deciding ? rules.slice(rules.lastIndexOf(deciding) + 1) : rules;
+
+    const open = later.some(rule => rule.negate === matched && rule.canMatchInside(relDir));
+    return open ? null : matched;
+}
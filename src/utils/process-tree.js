@@ -0,0 +1,169 @@
+// ================ IMPORTS ================
+
+import { execFileSync, spawnSync } from "child_process";
+
+// ================ CONSTANTS ================
+
+const IS_WINDOWS = process.platform === "win32";
+
+// How often to check whether a process group has fully exited
+const GROUP_POLL_INTERVAL = 50;
+
+// ================ HELPERS ================
+
+// Sends a signal to a single pid, ignoring processes that already exited
+function signalPid(pid, signal) {
+    try {
+        process.kill(pid, signal);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Reads the system process table as [{ pid, ppid, pgid }]
+function readProcessTable() {
+    try {
+        const output = execFileSync("ps", ["-A", "-o", "pid=,ppid=,pgid="], {
+            encoding: "utf8",
+            stdio: ["ignore", "pipe", "ignore"]
+        });
+
+        return output
+            .split("\n")
+            .map(line => line.trim().split(/\s+/).map(Number))
+            .filter(([pid]) => Number.isInteger(pid) && pid > 0)
+            .map(([pid, ppid, pgid]) => ({ pid, ppid, pgid }));
+    } catch {
+        return [];
+    }
+}
+
+// ================ PROCESS TREE ================
+
+/**
+ * Spawn options that put the child in its own process group (POSIX only)
+ * @returns {{detached: boolean}}
+ */
+export function getTreeSpawnOptions() {
+    return { detached: !IS_WINDOWS };
+}
+
+/**
+ * Lists live descendants of a pid: children, grandchildren and
+ * orphaned members of its process group (e.g. reparented workers)
+ * @param {number} pid
+ * @returns {Array<number>}
+ */
+export function listDescendants(pid) {
+    if (!pid || IS_WINDOWS) return [];
+
+    const table = readProcessTable();
+    const childrenOf = new Map();
+
+    for (const proc of table) {
+        if (!childrenOf.has(proc.ppid)) childrenOf.set(proc.ppid, []);
+        childrenOf.get(proc.ppid).push(proc.pid);
+    }
+
+    const found = new Set();
+    const queue = [pid];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        for (const child of childrenOf.get(current) || []) {
+            if (found.has(child)) continue;
+            found.add(child);
+            queue.push(child);
+        }
+    }
+
+    for (const proc of table) {
+        if (proc.pgid === pid && proc.pid !== pid) found.add(proc.pid);
+    }
+
+    return [...found].sort((a, b) => a - b);
+}
+
+/**
+ * Signals a process together with its whole tree
+ * POSIX: signals the process group, plus descendants that left it
+ * Windows: uses taskkill /T (always forceful)
+ * @param {number} pid - pid of the process group leader
+ * @param {string} signal
+ */
+export function killTree(pid, signal) {
+    if (!pid) return;
+
+    if (IS_WINDOWS) {
+        spawnSync("taskkill", ["/pid", String(pid), "/T", "/F"], { stdio: "ignore" });
+        return;
+    }
+
+    const descendants = listDescendants(pid);
+
+    if (!signalPid(-pid, signal)) signalPid(pid, signal);
+
+    for (const child of descendants) signalPid(child, signal);
+}
+
+/**
+ * Checks whether any process in the group led by pid is still alive
+ * @param {number} pid
+ * @returns {boolean}
+ */
+export function isTreeAlive(pid) {
+    if (!pid || IS_WINDOWS) return false;
+    return signalPid(-pid, 0);
+}
+
+/**
+ * Resolves once every process in the group led by pid has exited
+ * @param {number} pid
+ * @param {number} timeoutMs - give up after this long (Infinity waits forever)
+ * @returns {Promise<boolean>} true if the group exited in time
+ */
+export function waitForTreeExit(pid, timeoutMs = Infinity) {
+    const deadline = Date.now() + timeoutMs;
+
+    return new Promise((resolve) => {
+        const check = () => {
+            if (!isTreeAlive(pid)) return resolve(true);
+            if (Date.now() >= deadline) return resolve(false);
+            setTimeout(check, GROUP_POLL_INTERVAL);
+        };
+
+        check();
+    });
+}
+
+/**
+ * Resolves once a spawned child process has exited
+ * @param {import("child_process").ChildProcess} child
+ * @param {number} timeoutMs - give up after this long (Infinity waits forever)
+ * @returns {Promise<boolean>} true if the child exited in time
+ */
+export function waitForChildExit(child, timeoutMs = Infinity) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+        return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+        let timer = null;
+
+        const onExit = () => {
+            if (timer) clearTimeout(timer);
+            resolve(true);
+        };
+
+        if (Number.isFinite(timeoutMs)) {
+            timer = setTimeout(() => {
+                child.off("exit", onExit);
+                resolve(false);
+            }, timeoutMs);
+        }
+
+        child.once("exit", onExit);
+    });
+}
@@ -0,0 +1,157 @@
+// ================ IMPORTS ================
+
+import http from "http";
+import net from "net";
+
+// ================ CONSTANTS ================
+
+// Connection-level headers that belong to one hop and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+    "connection", "keep-alive", "proxy-connection", "transfer-encoding", "upgrade", "te", "trailer"
+];
+
+// Where the server is reached; "localhost" may resolve to ::1 first (Node 18) and miss
+// a server listening on 127.0.0.1, while servers listening on all interfaces take both
+export const LOOPBACK_HOST = "127.0.0.1";
+
+// ================ HELPERS ================
+
+// Copies headers without the hop-by-hop ones
+function forwardHeaders(headers) {
+    const result = {};
+
+    for (const [name, value] of Object.entries(headers)) {
+        if (!HOP_BY_HOP_HEADERS.includes(name)) result[name] = value;
+    }
+
+    return result;
+}
+
+// Answers a request the server couldn't take (not running yet, crashed...)
+function sendBadGateway(res, reason) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+
+    res.writeHead(502, { "content-type": "text/plain" });
+    res.end(`nodeLens: the server is not reachable (${reason}).\n`);
+}
+
+// ================ PORTS ================
+
+/**
+ * Asks the OS for a free TCP port
+ * @returns {Promise<number>}
+ */
+export function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+
+        probe.unref();
+        probe.once("error", reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// ================ PROXY ================
+
+/**
+ * Creates the HTTP proxy that owns the public port in `zeroDowntime` mode
+ * Every request goes to the current target port, so switching targets moves all
+ * new requests (even on kept-alive client connections) while in-flight ones finish
+ * WebSocket upgrades are piped through and stay on the server they were opened on
+ * @param {object} options
+ * @property {number} options.port - public port to listen on
+ * @property {string} [options.host] - interface to listen on (all when omitted)
+ * @returns {{listen: function(): Promise<void>, close: function(): Promise<void>, setTarget: function(number): void, getTarget: function(): number|null, getConnections: function(): number}}
+ */
+export function createProxy({ port, host }) {
+    let target = null;
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        if (target === null) {
+            sendBadGateway(res, "not started yet");
+            return;
+        }
+
+        const upstream = http.request({
+            host: LOOPBACK_HOST,
+            port: target,
+            method: req.method,
+            path: req.url,
+            // One connection per request: nothing stays pinned to a server being replaced
+            headers: { ...forwardHeaders(req.headers), connection: "close" },
+            agent: false
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, forwardHeaders(upstreamRes.headers));
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on("error", err => sendBadGateway(res, err.code || err.message));
+
+        // The client went away before the response finished
+        res.on("close", () => {
+            if (!res.writableFinished) upstream.destroy();
+        });
+
+        req.pipe(upstream);
+    });
+
+    // WebSockets (and other upgrades) get a raw tunnel to the current server
+    server.on("upgrade", (req, client, head) => {
+        if (target === null) {
+            client.destroy();
+            return;
+        }
+
+        const upstream = net.connect({ port: target, host: LOOPBACK_HOST }, () => {
+            const headers = [];
+            for (let i = 0; i < req.rawHeaders.length; i += 2) {
+                headers.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+            }
+
+            upstream.write(`${req.method} ${req.url} HTTP/${req.httpVersion}\r\n${headers.join("\r\n")}\r\n\r\n`);
+            upstream.write(head);
+
+            client.pipe(upstream).pipe(client);
+        });
+
+        sockets.add(client);
+        client.on("close", () => {
+            sockets.delete(client);
+            upstream.destroy();
+        });
+        client.on("error", () => {});
+        upstream.on("error", () => client.destroy());
+        upstream.on("close", () => client.destroy());
+    });
+
+    server.on("connection", (socket) => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+    });
+
+    return {
+        listen: () => new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.off("error", reject);
+                resolve();
+            });
+        }),
+        close: () => new Promise((resolve) => {
+            for (const socket of sockets) socket.destroy();
+            server.close(() => resolve());
+        }),
+        setTarget: (nextTarget) => {
+            target = nextTarget;
+        },
+        getTarget: () => target,
+        getConnections: () => sockets.size
+    };
+}
@@ -0,0 +1,163 @@
+// ================ IMPORTS ================
+
+import net from "net";
+import { escapeRegExp, REGEX_FORM } from "./patterns.js";
+import { LOOPBACK_HOST } from "./proxy.js";
+
+// ================ CONSTANTS ================
+
+// Defaults for the `ready` option
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_INTERVAL = 250;
+
+// Max time a single port/HTTP probe may take
+const PROBE_TIMEOUT = 1000;
+
+// ================ HELPERS ================
+
+// Reads "/source/flags" as a regex and anything else as literal text
+function toLinePattern(value) {
+    if (value instanceof RegExp) return value;
+
+    const parts = REGEX_FORM.exec(value);
+    if (parts) {
+        try {
+            return new RegExp(parts[1], parts[2].replace(/[gy]/g, ""));
+        } catch (err) {
+            throw new Error(`invalid regex ${value} (${err.message})`);
+        }
+    }
+
+    return new RegExp(escapeRegExp(value));
+}
+
+// Validates a TCP port number
+function toPort(value) {
+    const port = Number(value);
+
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`invalid port "${value}"`);
+    }
+
+    return port;
+}
+
+// Validates an http(s) URL: the prefix alone lets through URLs fetch() can never reach
+function toUrl(value) {
+    if (typeof value !== "string" || !/^https?:\/\//i.test(value)) {
+        throw new Error(`invalid URL "${value}" (use http:// or https://)`);
+    }
+
+    try {
+        new URL(value);
+    } catch {
+        throw new Error(`invalid URL "${value}"`);
+    }
+
+    return value;
+}
+
+// Picks a positive number setting, falling back to a default
+function pickMs(value, fallback) {
+    return typeof value === "number" && value > 0 ? value : fallback;
+}
+
+// ================ PARSING ================
+
+/**
+ * Normalizes the `ready` option into a readiness check
+ *
+ * - number or `{ port, host }`: a TCP port accepting connections
+ * - `"http://..."` or `{ url, status }`: an HTTP endpoint answering with `status` (default any 2xx)
+ * - `"ipc"` or `{ ipc: true }`: the server calling `process.send("ready")`
+ * - any other string or `{ stdout }`: a stdout line matching `"/regex/flags"` or containing the text
+ *
+ * Objects may also set `timeout` (ms before warning) and `interval` (ms between probes)
+ *
+ * @param {*} ready
+ * @returns {object|null} check, or null when readiness detection is off
+ * @throws {Error} when the option can't be understood
+ */
+export function parseReadyOption(ready) {
+    if (ready === null || ready === undefined || ready === false) return null;
+
+    const options = typeof ready === "object" && !(ready instanceof RegExp) ? ready : {};
+    const timing = {
+        timeoutMs: pickMs(options.timeout, DEFAULT_TIMEOUT),
+        intervalMs: pickMs(options.interval, DEFAULT_INTERVAL)
+    };
+
+    if (typeof ready === "number" || options.port !== undefined) {
+        const port = toPort(typeof ready === "number" ? ready : options.port);
+        const host = typeof options.host === "string" && options.host ? options.host : LOOPBACK_HOST;
+        return { type: "port", port, host, label: `port ${port}`, ...timing };
+    }
+
+    if ((typeof ready === "string" && /^https?:\/\//i.test(ready)) || options.url !== undefined) {
+        const url = toUrl(typeof ready === "string" ? ready : options.url);
+        const status = options.status === undefined ? null : Number(options.status);
+
+        if (status !== null && !Number.isInteger(status)) {
+            throw new Error(`invalid status "${options.status}"`);
+        }
+
+        return { type: "http", url, status, label: `GET ${url}${status ? ` → ${status}` : ""}`, ...timing };
+    }
+
+    if (ready === "ipc" || options.ipc === true) {
+        return { type: "ipc", label: `ipc "ready"`, ...timing };
+    }
+
+    const line = typeof ready === "string" || ready instanceof RegExp ? ready : options.stdout;
+
+    if ((typeof line === "string" && line.trim()) || line instanceof RegExp) {
+        const pattern = toLinePattern(line);
+        return { type: "stdout", pattern, label: `stdout ${pattern}`, ...timing };
+    }
+
+    throw new Error("expected a port, an http(s) URL, a stdout pattern or \"ipc\"");
+}
+
+// ================ PROBES ================
+
+/**
+ * Checks whether something accepts TCP connections on a port
+ * @param {number} port
+ * @param {string} host
+ * @returns {Promise<boolean>}
+ */
+export function probePort(port, host) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ port, host });
+
+        const done = (ok) => {
+            socket.destroy();
+            resolve(ok);
+        };
+
+        socket.setTimeout(PROBE_TIMEOUT, () => done(false));
+        socket.once("connect", () => done(true));
+        socket.once("error", () => done(false));
+    });
+}
+
+/**
+ * Checks whether an HTTP endpoint answers with the expected status
+ * @param {string} url
+ * @param {number|null} status - exact status, or null for any 2xx
+ * @returns {Promise<boolean>}
+ */
+export async function probeHttp(url, status) {
+    try {
+        const target = new URL(url);
+        // Same reason the proxy uses LOOPBACK_HOST: "localhost" may miss an IPv4-only server
+        if (target.hostname === "localhost") target.hostname = LOOPBACK_HOST;
+
+        const response = await fetch(target, { redirect: "manual", signal: AbortSignal.timeout(PROBE_TIMEOUT) });
+        await response.body?.cancel();
+
+        return status === null ? response.ok : response.status === status;
+    } catch {
+        return false;
+    }
+}
@@ -1,37 +1,29 @@
 // ================ IMPORTS ================
 
-import chokidar from "chokidar";
-import { spawn } from "child_process";
-import path from "path";
 import readline from "readline/promises";
-import { loadConfig, DEFAULT_CONFIG } from "./commands.js";
-import { log, setLogStyle } from "./utils/logger.js";
-import fs from "fs";
-import updateNotifier from "update-notifier";
+import { CHANGE_MARKERS, createNodeLens } from "./nodelens.js";
+import { log } from "./utils/logger.js";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
 const pkg = require("../package.json");
 
-// ================ INTERNAL STATE ================
+// ================ PUBLIC API ================
 
-let server = null;
-let restartTimer = null;
-let projectWatcher = null;
-let configWatcher = null;
-let configDebounceTimer = null;
-let effectiveConfig = null;
-let silentOverride = null;
+export { createNodeLens } from "./nodelens.js";
+export { createLogger } from "./utils/logger.js";
 
-// Internal files/folders that should always be ignored by watchers
-const INTERNAL_ALWAYS_IGNORE = [".nodelens", "nl.config.json"];
+// ================ CONSTANTS ================
 
-// Stores last file change metadata for status reporting
-let lastChange = {
-    file: null,
-    event: null,
-    timestamp: null
-};
+// Runtime command names (first word), used to route stdin in "forward" mode
+const RUNTIME_COMMANDS = [
+    "rs", "stop", "x", "status", "stats", "last-change", "lc",
+    "silent", "profile", "help", "h", "?", "clear", "cls"
+];
+
+// Repeat signals within this window belong to the same stop (e.g. re-raised by another
+// exit handler); only a later, separate signal forces the server down
+const FORCE_STOP_GUARD = 1000;
 
 // ================ UTILITIES ================
 
@@ -54,184 +46,199 @@ function formatAgoFull(timestamp) {
     return parts.join(", ") + " ago";
 }
 
-// Converts Windows backslashes to forward slashes for path normalization
-function toForwardSlashes(p) {
-    return p.replace(/\\/g, "/");
+// Summarizes recent crashes and the next retry for the status command
+function formatCrashStatus(crash) {
+    const summary = `${crash.count}/${crash.limit} in last ${Math.round(crash.windowMs / 1000)}s`;
+
+    if (crash.crashLoop) return `${summary} (crash loop detected, auto-restart paused)`;
+    if (!crash.nextRetryAt) return summary;
+
+    const timeStr = crash.nextRetryAt.toLocaleTimeString("en-GB", { hour12: false });
+    const inSec = Math.max(0, Math.ceil((crash.nextRetryAt.getTime() - Date.now()) / 1000));
+    return `${summary} (next retry at ${timeStr}, in ${inSec}s)`;
 }
 
-// Converts a user pattern (string or RegExp) to a valid RegExp object
-function patternToRegExp(pattern) {
-    if (pattern instanceof RegExp) return pattern;
+// Describes the watcher mode, e.g. "polling every 100ms (auto: nfs4 network mount)"
+function formatWatcherMode(watcher) {
+    if (!watcher.usePolling) return "native events";
 
-    let str = String(pattern).trim();
-    if (!str) return /.^/;
+    const mode = `polling every ${watcher.interval}ms`;
+    return watcher.pollingReason ? `${mode} (auto: ${watcher.pollingReason})` : mode;
+}
 
-    if (str.includes("*")) {
-        const escaped = str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
-        const source = escaped.replace(/\*/g, ".*");
-        return new RegExp(source);
-    }
+// Describes the rule that decided a path, e.g. `"build" (ignore)`
+function formatRule(rule) {
+    return rule ? `"${rule.pattern}" (${rule.origin})` : "no rule";
+}
 
-    try {
-        return new RegExp(str);
-    } catch {
-        const escaped = str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
-        return new RegExp(escaped);
-    }
+// Describes a per-pattern rule, e.g. "views/** → signal SIGHUP"
+function formatActionRule(rule) {
+    const match = [].concat(rule.match).join(", ");
+    let action = rule.action;
+
+    if (rule.action === "signal") action += rule.message !== undefined ? " (IPC message)" : ` ${rule.signal}`;
+    if (rule.action === "exec") action += ` \`${rule.command}\`${rule.restart ? " + restart" : ""}`;
+
+    return `${match} → ${action}`;
 }
 
-// Merges provided config with DEFAULT_CONFIG for a full effective configuration
-function buildEffectiveConfig(rawConfig) {
-    if (!rawConfig || typeof rawConfig !== "object") {
-        return { ...DEFAULT_CONFIG };
+// Describes the last prestart run, e.g. "2 commands, passed in 1234ms"
+function formatPrestartStatus(prestart) {
+    const count = prestart.commands.length;
+    if (count === 0) return "none";
+
+    const label = `${count} command${count === 1 ? "" : "s"}`;
+
+    if (prestart.state === "running") return `${label}, running \`${prestart.command}\``;
+    if (prestart.state === "passed") return `${label}, passed in ${prestart.durationMs}ms`;
+    if (prestart.state === "failed") {
+        return `${label}, \x1b[31mFAILED\x1b[0m at \`${prestart.command}\` (${prestart.reason}), restart aborted`;
     }
 
-    return {
-        ...DEFAULT_CONFIG,
-        ...rawConfig
-    };
+    return label;
 }
 
-// ================ WATCHERS ================
+// Describes the server's readiness, e.g. "ready in 412ms (port 3000)"
+function formatReadyStatus(ready) {
+    if (ready.state === "off") return "not checked";
 
-/**
- * Creates the main project watcher that restarts the server when files change
- */
-function createProjectWatcher(entry, projectRoot, effectiveConfigRef) {
-    const { watch, ignore, debounceDelay, restartDelay } = effectiveConfigRef;
-
-    const debounceMs =
-        typeof debounceDelay === "number" && debounceDelay >= 0
-            ? debounceDelay
-            : DEFAULT_CONFIG.debounceDelay;
-
-    const restartDelayMs =
-        typeof restartDelay === "number" && restartDelay >= 0
-            ? restartDelay
-            : DEFAULT_CONFIG.restartDelay;
-
-    const userIgnoreList = Array.isArray(ignore) ? ignore : [ignore];
-    const finalIgnoreList = [...userIgnoreList, ...INTERNAL_ALWAYS_IGNORE];
-    const ignoreRegexes = finalIgnoreList.map(patternToRegExp);
-
-    let watchRegexes = null;
-    if (watch !== "all" && Array.isArray(watch)) {
-        watchRegexes = watch.map(patternToRegExp);
-    } else if (watch !== "all") {
-        watchRegexes = [patternToRegExp(watch)];
-    }
+    const waited = `${Date.now() - ready.startedAt}ms`;
 
-    const watcher = chokidar.watch(projectRoot, {
-        ignoreInitial: true,
-        persistent: true
-    });
+    if (ready.state === "ready") return `ready in ${ready.durationMs}ms (${ready.check})`;
+    if (ready.state === "waiting") return `waiting for ${ready.check} (${waited})`;
+    if (ready.state === "timeout") return `\x1b[33mNOT READY\x1b[0m after ${waited}, waiting for ${ready.check}`;
 
-    watcher.on("all", (event, filePath) => {
-        const rel = toForwardSlashes(path.relative(projectRoot, filePath));
-        if (!rel) return;
-
-        // Skip ignored files
-        if (ignoreRegexes.some(re => re.test(rel))) return;
-        // Skip files outside watched patterns
-        if (watchRegexes && !watchRegexes.some(re => re.test(rel))) return;
-
-        // Record latest file change
-        if (["add", "change", "unlink"].includes(event)) {
-            lastChange = {
-                file: rel,
-                event,
-                timestamp: new Date()
-            };
-        }
+    return `server exited before ${ready.check}`;
+}
 
-        // Trigger restart debounce
-        if (!restartTimer) {
-            log.separator();
-            log.info(`Change in ${rel}. Restarting...`);
-        }
+// Describes the zeroDowntime proxy, e.g. "port 3000 → 41234 (2 connections)"
+function formatZeroDowntime(zeroDowntime) {
+    if (!zeroDowntime) return "off";
+
+    const connections = `${zeroDowntime.connections} connection${zeroDowntime.connections === 1 ? "" : "s"}`;
+    const swapping = zeroDowntime.swapping ? ", swapping in a new server" : "";
 
-        if (restartTimer) clearTimeout(restartTimer);
+    return `port ${zeroDowntime.port} → ${zeroDowntime.serverPort ?? "-"} (${connections}${swapping})`;
+}
 
-        restartTimer = setTimeout(() => {
-            const doRestart = () => {
-                if (server) server.kill();
-                startServer(entry);
-                restartTimer = null;
-            };
+// Lists the events that have hooks, e.g. "start (1), crash (2)"
+function formatHooks(hooks) {
+    return Object.entries(hooks)
+        .filter(([, list]) => list.length > 0)
+        .map(([name, list]) => `${name} (${list.length})`)
+        .join(", ") || "none";
+}
 
-            if (restartDelayMs > 0) {
-                setTimeout(doRestart, restartDelayMs);
-            } else {
-                doRestart();
-            }
-        }, debounceMs);
-    });
+// Describes the watch setting, e.g. "graph (12 modules in 3 folders)"
+function formatWatching(watch, graph) {
+    if (Array.isArray(watch)) return watch.join(", ");
+    if (!graph) return String(watch);
 
-    return watcher;
+    return graph.modules > 0
+        ? `graph (${graph.modules} modules in ${graph.directories} folders)`
+        : "graph (no modules reported yet, restarting on any change)";
 }
 
-/**
- * Creates watcher for detecting changes in nl.config.json
- */
-function createConfigWatcher(projectRoot, onConfigUpdate) {
-    const configDir = path.join(projectRoot, ".nodelens");
+// Describes what decided whether a path is watched
+function formatWatchReason(result) {
+    if (result.watchMode === "all") return "watch: all";
+    if (result.watchMode === "graph") return result.watched ? "in module graph" : "not in module graph";
+    return formatRule(result.watchRule);
+}
 
-    const watcher = chokidar.watch(configDir, {
-        ignoreInitial: true,
-        persistent: true
-    });
+// Describes the active profile and the ones the config defines
+function formatProfile({ profile, profiles }) {
+    if (profiles.length === 0) return profile ?? "none";
+    return `${profile ?? "none"} (available: ${profiles.join(", ")})`;
+}
 
-    watcher.on("all", (event, filePath) => {
-        if (!filePath.endsWith("nl.config.json")) return;
+// Prints how the watch/ignore rules treat a path (`status <path>`)
+function printPathStatus(result) {
+    console.log("─────────────────────────");
+    console.log("\x1b[33mPath Status:\x1b[0m");
+    console.log(` Path .......... ${result.path}`);
+    console.log(` Ignored ....... ${result.ignored ? "YES" : "NO"} (${formatRule(result.ignoreRule)})`);
+    console.log(` Watched ....... ${result.watched ? "YES" : "NO"} (${formatWatchReason(result)})`);
+}
 
-        const configDebounceMs =
-            typeof DEFAULT_CONFIG.debounceDelay === "number"
-                ? DEFAULT_CONFIG.debounceDelay
-                : 200;
+// ================ STDIN ROUTING ================
 
-        if (configDebounceTimer) clearTimeout(configDebounceTimer);
+// Checks whether a line starts with a known runtime command (e.g. "rs", "silent on")
+function isRuntimeCommand(input) {
+    const [first] = input.trim().toLowerCase().split(/\s+/);
+    return RUNTIME_COMMANDS.includes(first);
+}
 
-        configDebounceTimer = setTimeout(() => {
-            log.separator();
-            log.info("nl.config.json changed. Reloading config...");
+/**
+ * Decides whether a stdin line is meant for nodeLens or for the server
+ * With commandPrefix set, only prefixed lines are commands; otherwise known
+ * runtime commands are kept and everything else is forwarded in "forward" mode
+ * @param {object} lens - nodeLens instance
+ * @param {string} input
+ * @returns {string|null} command to run, or null when forwarded to the server
+ */
+function routeInput(lens, input) {
+    const { commandPrefix: prefix, stdin } = lens.getConfig();
+    const trimmed = input.trim();
 
-            const raw = loadConfig();
-            if (!raw) {
-                log.warn("Config unreadable. Keeping previous...");
-                return;
-            }
+    if (prefix && trimmed.startsWith(prefix)) {
+        return trimmed.slice(prefix.length);
+    }
 
-            let newEffectiveConfig = buildEffectiveConfig(raw);
+    if (stdin !== "forward") return input;
+    if (!prefix && isRuntimeCommand(input)) return input;
 
-            // Preserve manual silent override from runtime commands
-            if (silentOverride !== null) {
-                newEffectiveConfig.silentLogs = silentOverride;
-            }
+    lens.write(input + "\n");
+    return null;
+}
 
-            newEffectiveConfig.logFile = newEffectiveConfig.saveLogs
-                ? path.join(projectRoot, ".nodelens", "nodelens.txt")
-                : null;
+/**
+ * Reads console input as lines and routes each to a runtime command or the server
+ * Ctrl+C stops nodeLens
+ * @returns {Function} detaches the line reader
+ */
+function attachLineReader(lens, onCommand) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: ""
+    });
 
-            setLogStyle(newEffectiveConfig);
-            effectiveConfig = newEffectiveConfig;
+    // Graceful shutdown on Ctrl+C
+    rl.on("SIGINT", () => {
+        rl.close();
+        process.kill(process.pid, "SIGINT");
+    });
 
-            onConfigUpdate(newEffectiveConfig);
-            configDebounceTimer = null;
-        }, configDebounceMs);
+    rl.on("line", (input) => {
+        const command = routeInput(lens, input);
+        if (command !== null) onCommand(command);
     });
 
-    return watcher;
+    return () => rl.close();
 }
 
 // ================ MAIN WATCHER CONTROLLER ================
 
 /**
  * Starts the watcher, server, checks for updates and CLI interface for runtime commands
+ * @param {string|null} entry - entry file or command
+ * @param {object} [options]
+ * @property {string|null} options.exec - exec template from the --exec flag
+ * @property {Array<string>} options.scriptArgs - arguments passed after `--`
+ * @property {string|null} options.config - config file from the --config flag
+ * @property {boolean} options.noConfig - skip config files (--no-config)
+ * @property {string|null} options.profile - profile to apply (--profile)
+ * @property {Array<string>} options.ignore - extra ignore patterns (--ignore)
+ * @property {object} options.settings - config settings from the other flags
+ * @returns {Promise<void>} resolves once the server was started and runtime commands are listening
  */
-export function startWatcher(entry) {
+export async function startWatcher(entry, options = {}) {
 
     // ──────────────── Update notifier ────────────────
 
+    // Loaded here, not at import: it installs process-wide exit handlers the programmatic API must not add
+    const { default: updateNotifier } = await import("update-notifier");
     const notifier = updateNotifier({ pkg, updateCheckInterval: 1000 * 60 * 60 * 24 }); // check once per day
 
     if (notifier.update) {
@@ -242,49 +249,61 @@ export function startWatcher(entry) {
         console.log("──────────────────────────────────────────────\n");
     }
 
-    const entryPath = path.resolve(entry);
-    const projectRoot = path.dirname(entryPath);
-    const raw = loadConfig();
+    // ──────────────── Start server process ────────────────
 
-    // Merge default config with loaded one
-    effectiveConfig = raw
-        ? buildEffectiveConfig(raw)
-        : { ...DEFAULT_CONFIG };
+    const lens = createNodeLens({
+        entry,
+        exec: options.exec,
+        scriptArgs: options.scriptArgs,
+        configPath: options.config,
+        configFile: !options.noConfig,
+        profile: options.profile,
+        config: options.settings,
+        ignore: options.ignore,
+        logger: log
+    });
 
-    effectiveConfig.logFile = effectiveConfig.saveLogs
-        ? path.join(projectRoot, ".nodelens", "nodelens.txt")
-        : null;
+    let shutdownStartedAt = null;
 
-    setLogStyle(effectiveConfig);
+    // Stops the instance and exits; a second, separate signal while shutting down force-kills the server
+    const shutdown = async () => {
+        if (shutdownStartedAt !== null) {
+            if (Date.now() - shutdownStartedAt < FORCE_STOP_GUARD) return;
 
-    // ──────────────── Start server process ────────────────
+            log.warn("Forcing stop...");
+            await lens.stop({ force: true });
+            process.exit(1);
+        }
 
-    startServer(entry);
-    log.separator();
-    log.info(`\x1b[32mStarting \`node ${entry}\`\x1b[0m`);
+        shutdownStartedAt = Date.now();
 
-    if (fs.existsSync(path.join(projectRoot, ".nodelens", "nl.config.json"))) {
-        log.info("Using \x1b[33mnl.config.json\x1b[0m");
-    } else {
-        log.info("Using \x1b[33mdefault config\x1b[0m");
+        await lens.stop();
+        process.exit(0);
+    };
+
+    // Handle process termination gracefully (also while the config loads and prestart runs)
+    // The server has its own process group, so a terminal hangup only reaches it through nodeLens
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+    process.on("SIGHUP", shutdown);
+
+    // Config files may be JavaScript, so the config (and stdin mode) is only known once start() loaded it
+    try {
+        await lens.start();
+    } catch (err) {
+        // Config problems were already listed by the instance, this adds the summary (or any other failure)
+        log.error(`Failed to start: ${err.message}`);
+        process.exit(1);
     }
-    log.info("Watching for file changes...");
 
     // ================ RUNTIME COMMANDS ================
 
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        prompt: ""
-    });
+    // Raw mode hands the terminal to the server, so nodeLens reads no input then
+    // Follows the live config: a profile switch may change the stdin mode
+    let rawInput = null;
+    let detachInput = null;
 
-    // Graceful shutdown on Ctrl+C
-    rl.on("SIGINT", () => {
-        rl.close();
-        process.kill(process.pid, "SIGINT");
-    });
-
-    rl.on("line", (input) => {
+    const handleRuntimeCommand = (input) => {
         const line = input.trim();
         if (!line) return;
 
@@ -305,32 +324,73 @@ export function startWatcher(entry) {
             console.log(" rs ............. Restarts server");
             console.log(" stop/x ......... Stops nodeLens");
             console.log(" status/stats ... Shows watcher status");
+            console.log(" status <path> .. Shows which rule matches a path");
             console.log(" last-change/lc . Shows last file change");
             console.log(" silent ......... Toggles silent logs");
+            console.log(" profile <name> . Switches profile (none for the base config)");
             console.log(" help/h/? ....... Shows this help");
             console.log(" clear/cls ...... Clears console");
+
+            if (lens.getConfig().stdin === "forward") {
+                const prefix = lens.getConfig().commandPrefix;
+                console.log(prefix
+                    ? ` Prefix commands with "${prefix}" (e.g. ${prefix}rs). Other input goes to the server.`
+                    : " Any other input goes to the server.");
+            }
             return;
         }
 
         // ──────────────── Status ────────────────
 
+        const [cmdName, ...cmdArgs] = line.split(/\s+/);
+
+        if ((cmdName.toLowerCase() === "status" || cmdName.toLowerCase() === "stats") && cmdArgs.length > 0) {
+            printPathStatus(lens.explain(cmdArgs.join(" ")));
+            return;
+        }
+
         if (cmd === "status" || cmd === "stats") {
+            const status = lens.status();
+            const { config } = status;
+
             console.log("─────────────────────────");
             console.log("\x1b[33mnodeLens Status:\x1b[0m");
-            console.log(` Server PID .... ${server ? server.pid : "not running"}`);
-            console.log(` Watching ...... ${Array.isArray(effectiveConfig.watch) ? effectiveConfig.watch.join(", ") : effectiveConfig.watch}`);
-            console.log(` Ignoring ...... ${effectiveConfig.ignore.join(", ")}`);
-            console.log(` Debounce ...... ${effectiveConfig.debounceDelay}ms`);
-            console.log(` Restart Delay . ${effectiveConfig.restartDelay}ms`);
-            console.log(` Silent Logs ... ${effectiveConfig.silentLogs ? "ON" : "OFF"}`);
-            console.log(` Save Logs ..... ${effectiveConfig.saveLogs ? "ON" : "OFF"}`);
-            console.log(` Log File ...... ${effectiveConfig.logFile}`);
+            console.log(` Server PID .... ${status.pid ?? "not running"}`);
+            console.log(` Child PIDs .... ${status.childPids.join(", ") || "none"}`);
+            console.log(` Command ....... ${status.command}`);
+            console.log(` Root .......... ${status.projectRoot}`);
+            console.log(` Config ........ ${status.configSource ? status.configSource.label : "default"}`);
+            console.log(` Profile ....... ${formatProfile(status)}`);
+            console.log(` Env ........... ${Object.keys(config.env || {}).join(", ") || "none"}`);
+            console.log(` Watching ...... ${formatWatching(config.watch, status.graph)}`);
+            console.log(` Ignoring ...... ${[].concat(config.ignore).join(", ")}`);
+            console.log(` Ignore Files .. ${status.ignoreFiles.join(", ") || "none"}`);
+            console.log(` Watched Paths . ${status.watchedPaths}`);
+            console.log(` Prestart ...... ${formatPrestartStatus(status.prestart)}`);
+            console.log(` Ready ......... ${formatReadyStatus(status.ready)}`);
+            console.log(` Zero Downtime . ${formatZeroDowntime(status.zeroDowntime)}`);
+            console.log(` Hooks ......... ${formatHooks(status.hooks)}`);
+            console.log(` Rules ......... ${status.rules.map(formatActionRule).join("; ") || "none"}`);
+            console.log(` Watcher ....... ${formatWatcherMode(status.watcher)}`);
+            console.log(` Debounce ...... ${config.debounceDelay}ms`);
+            console.log(` Restart Delay . ${config.restartDelay}ms`);
+            console.log(` Content Hash .. ${status.contentHash.enabled ? `ON (${status.contentHash.files} files hashed)` : "OFF"}`);
+            console.log(` Kill Signal ... ${status.kill.signal} (SIGKILL after ${status.kill.timeoutMs}ms)`);
+            console.log(` Crash Restart . ${status.crash.policy}`);
+            console.log(` Crashes ....... ${formatCrashStatus(status.crash)}`);
+            console.log(` Silent Logs ... ${config.silentLogs ? "ON" : "OFF"}`);
+            console.log(` Save Logs ..... ${config.saveLogs ? "ON" : "OFF"}`);
+            console.log(` Stdin ......... ${status.stdinMode}`);
+            console.log(` App Output .... ${config.captureOutput ? "CAPTURED" : "INHERITED"}`);
+            console.log(` Log File ...... ${config.logFile}`);
             return;
         }
 
         // ──────────────── Last Change ────────────────
 
         if (cmd === "last-change" || cmd === "lc") {
+            const { lastChange } = lens.status();
+
             if (!lastChange.file) {
                 log.info("No changes recorded yet.");
                 return;
@@ -347,8 +407,17 @@ export function startWatcher(entry) {
             console.log("─────────────────────────");
             console.log("\x1b[33mLast Change:\x1b[0m");
             console.log(`File ..... ${lastChange.file}`);
-            console.log(`Event .... ${lastChange.event}`);
+            console.log(`Event .... ${lastChange.event}${lastChange.skipped ? " (touched, unchanged – restart skipped)" : ""}`);
             console.log(`Time ..... ${timeStr} (${agoStr})`);
+
+            // Everything that changed in the same debounce window
+            if (lastChange.changes.length > 1) {
+                console.log(`Batch .... ${lastChange.changes.length} files (${lastChange.summary})`);
+
+                for (const { file, event } of lastChange.changes) {
+                    console.log(`  ${CHANGE_MARKERS[event]} ${file}`);
+                }
+            }
             return;
         }
 
@@ -359,13 +428,12 @@ export function startWatcher(entry) {
 
             const parts = cmd.split(/\s+/);
             const action = parts[1];
+            const { silentLogs } = lens.getConfig();
 
-            // Manual silent mode control
+            // Manual silent mode control (kept across config reloads)
             if (action === "on") {
-                if (!effectiveConfig.silentLogs) {
-                    effectiveConfig.silentLogs = true;
-                    silentOverride = true;
-                    setLogStyle(effectiveConfig);
+                if (!silentLogs) {
+                    lens.override({ silentLogs: true });
                     console.log("Silent logs: ON");
                 } else {
                     console.log("Silent logs already ON.");
@@ -374,10 +442,8 @@ export function startWatcher(entry) {
             }
 
             if (action === "off") {
-                if (effectiveConfig.silentLogs) {
-                    effectiveConfig.silentLogs = false;
-                    silentOverride = false;
-                    setLogStyle(effectiveConfig);
+                if (silentLogs) {
+                    lens.override({ silentLogs: false });
                     console.log("Silent logs: OFF");
                 } else {
                     console.log("Silent logs already OFF.");
@@ -385,10 +451,24 @@ export function startWatcher(entry) {
                 return;
             }
 
-            effectiveConfig.silentLogs = !effectiveConfig.silentLogs;
-            silentOverride = effectiveConfig.silentLogs;
-            setLogStyle(effectiveConfig);
-            console.log(`Silent logs: ${effectiveConfig.silentLogs ? "ON" : "OFF"}`);
+            lens.override({ silentLogs: !silentLogs });
+            console.log(`Silent logs: ${!silentLogs ? "ON" : "OFF"}`);
+            return;
+        }
+
+        // ──────────────── Profiles ────────────────
+
+        if (cmdName.toLowerCase() === "profile") {
+            const [name] = cmdArgs;
+
+            if (!name) {
+                log.separator();
+                console.log(`Profile: ${formatProfile(lens.status())}`);
+                return;
+            }
+
+            // Names are case-sensitive, so the original input is used
+            lens.setProfile(name === "none" ? null : name);
             return;
         }
 
@@ -398,10 +478,7 @@ export function startWatcher(entry) {
             log.separator();
             log.info("Restarting server...");
 
-            if (restartTimer) clearTimeout(restartTimer);
-            if (server) server.kill();
-
-            startServer(entry);
+            lens.restart();
             return;
         }
 
@@ -411,59 +488,27 @@ export function startWatcher(entry) {
             log.separator();
             log.info("Stopping nodeLens...");
 
-            rl.close();
-
-            if (projectWatcher) projectWatcher.close();
-            if (configWatcher) configWatcher.close();
-            if (server) server.kill();
-
-            process.exit(0);
+            if (detachInput) detachInput();
+            shutdown();
+            return;
         }
 
         // Unknown command feedback
         log.separator();
         log.error(`Command not found: "${line}". Run \x1b[36mhelp\x1b[0m for commands list.`);
-    });
-
-    // Start project + config watchers
-    projectWatcher = createProjectWatcher(entry, projectRoot, effectiveConfig);
-
-    configWatcher = createConfigWatcher(projectRoot, (newConfig) => {
-        if (restartTimer) clearTimeout(restartTimer);
-        if (projectWatcher) projectWatcher.close();
-
-        projectWatcher = createProjectWatcher(entry, projectRoot, newConfig);
-    });
-
-    // Handle process termination gracefully
-    process.on("SIGINT", () => {
-        if (projectWatcher) projectWatcher.close();
-        if (configWatcher) configWatcher.close();
-        if (server) server.kill();
-        process.exit(0);
-    });
+    };
 
-    process.on("SIGTERM", () => {
-        if (projectWatcher) projectWatcher.close();
-        if (configWatcher) configWatcher.close();
-        if (server) server.kill();
-        process.exit(0);
-    });
-}
+    // Attaches or detaches the line reader when the stdin mode crosses "raw"
+    const attachInput = () => {
+        const raw = lens.getConfig().stdin === "raw";
+        if (raw === rawInput) return;
 
-// ================ SERVER HANDLER ================
+        if (detachInput) detachInput();
 
-// Spawns a Node.js process for the watched entry file
-function startServer(entry) {
-    server = spawn("node", [entry], {
-        stdio: ["ignore", "inherit", "inherit"]
-    });
+        rawInput = raw;
+        detachInput = raw ? null : attachLineReader(lens, handleRuntimeCommand);
+    };
 
-    // Detect abnormal process exits and report
-    server.on("exit", (code, signal) => {
-        if (!signal && code !== 0) {
-            log.separator();
-            log.error(`Server crashed (exit code ${code}). Waiting for changes...`);
-        }
-    });
+    attachInput();
+    lens.on("config", attachInput);
 }
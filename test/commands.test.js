@@ -0,0 +1,57 @@
+// ================ IMPORTS ================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCommands } from "../src/commands.js";
+
+// ================ TESTS ================
+
+test("no arguments run index.js", () => {
+    const cmd = parseCommands([]);
+
+    assert.equal(cmd.type, "run");
+    assert.equal(cmd.entry, "index.js");
+});
+
+test("flags set fields and settings, inline or as the next argument", () => {
+    const cmd = parseCommands(["server.js", "-x", "tsx {entry}", "--debounce=500", "-w", "src", "-w", "lib", "-i", "*.log", "-s"]);
+
+    assert.equal(cmd.type, "run");
+    assert.equal(cmd.entry, "server.js");
+    assert.equal(cmd.exec, "tsx {entry}");
+    assert.deepEqual(cmd.ignore, ["*.log"]);
+    assert.deepEqual(cmd.settings, { debounceDelay: 500, watch: ["src", "lib"], silentLogs: true });
+});
+
+test("a single all/graph watch is a mode, not a path", () => {
+    assert.equal(parseCommands(["-w", "graph"]).settings.watch, "graph");
+});
+
+test("arguments after -- go to the entry untouched", () => {
+    const cmd = parseCommands(["app.js", "--", "--port", "4000"]);
+
+    assert.equal(cmd.entry, "app.js");
+    assert.deepEqual(cmd.scriptArgs, ["--port", "4000"]);
+});
+
+test("a command entry is kept as one argument", () => {
+    assert.equal(parseCommands(["python3 worker.py"]).entry, "python3 worker.py");
+    assert.equal(parseCommands(["--exec", "npm run dev"]).entry, null);
+});
+
+test("bad flags make the command invalid with a message", () => {
+    assert.match(parseCommands(["--debounse", "100"]).error, /Did you mean --debounce\?/);
+    assert.match(parseCommands(["--debounce", "soon"]).error, /whole number of milliseconds/);
+    assert.match(parseCommands(["--exec"]).error, /needs a value/);
+    assert.match(parseCommands(["--silent=yes"]).error, /doesn't take a value/);
+    assert.match(parseCommands(["-c", "a.json", "--no-config"]).error, /can't be used together/);
+    assert.equal(parseCommands(["-q"]).type, "invalid");
+});
+
+test("subcommands are recognised", () => {
+    assert.equal(parseCommands(["config", "init", "js"]).type, "config-init");
+    assert.equal(parseCommands(["config", "init", "js"]).format, "js");
+    assert.equal(parseCommands(["cfg", "validate"]).type, "config-validate");
+    assert.equal(parseCommands(["clear-logs"]).type, "clear-logs");
+    assert.equal(parseCommands(["-v"]).type, "version");
+});
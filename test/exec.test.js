@@ -0,0 +1,48 @@
+// ================ IMPORTS ================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildExecCommand, formatCommand, splitCommand } from "../src/utils/exec.js";
+
+// ================ TESTS ================
+
+test("entries run with node by default", () => {
+    assert.deepEqual(buildExecCommand("server.js", {}), { command: "node", args: ["server.js"] });
+});
+
+test("exec templates replace {entry} or get it appended", () => {
+    assert.deepEqual(buildExecCommand("app.ts", { exec: "node --import tsx {entry}" }),
+        { command: "node", args: ["--import", "tsx", "app.ts"] });
+    assert.deepEqual(buildExecCommand("app.ts", { exec: "tsx" }), { command: "tsx", args: ["app.ts"] });
+});
+
+test("execMap matches the extension and wins over exec", () => {
+    const config = { exec: "node {entry}", execMap: { py: "python3 -u {entry}" } };
+
+    assert.deepEqual(buildExecCommand("worker.py", config), { command: "python3", args: ["-u", "worker.py"] });
+    assert.deepEqual(buildExecCommand("server.js", config), { command: "node", args: ["server.js"] });
+});
+
+test("command entries run as-is, even with a matching execMap", () => {
+    const config = { execMap: { ".py": "python3" } };
+
+    assert.deepEqual(buildExecCommand("python3 worker.py", config), { command: "python3", args: ["worker.py"] });
+    assert.deepEqual(buildExecCommand("npm run dev", {}), { command: "npm", args: ["run", "dev"] });
+});
+
+test("--exec wins over everything", () => {
+    assert.deepEqual(buildExecCommand("worker.py", { execMap: { ".py": "python3" } }, { exec: "pypy {entry}" }),
+        { command: "pypy", args: ["worker.py"] });
+});
+
+test("nodeArgs go right after node, script arguments last", () => {
+    const built = buildExecCommand("server.js", { nodeArgs: ["--inspect"] }, { scriptArgs: ["--port", "4000"] });
+
+    assert.deepEqual(built, { command: "node", args: ["--inspect", "server.js", "--port", "4000"] });
+    assert.deepEqual(buildExecCommand("app.ts", { exec: "tsx", nodeArgs: ["--inspect"] }).args, ["app.ts"]);
+});
+
+test("quoted arguments stay together and print back quoted", () => {
+    assert.deepEqual(splitCommand("node -e \"console.log(1)\" 'a b'"), ["node", "-e", "console.log(1)", "a b"]);
+    assert.equal(formatCommand({ command: "node", args: ["my app.js"] }), "node \"my app.js\"");
+});
@@ -0,0 +1,78 @@
+// ================ IMPORTS ================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePattern, compilePatterns, getPatternError, matchesRules, resolveDirectory } from "../src/utils/patterns.js";
+
+// ================ TESTS ================
+
+test("unanchored globs match at any depth, anchored ones from the root", () => {
+    const build = compilePattern("build");
+    assert.ok(build.test("build"));
+    assert.ok(build.test("src/build"));
+
+    const anchored = compilePattern("src/*.js");
+    assert.ok(anchored.test("src/app.js"));
+    assert.ok(!anchored.test("lib/src/app.js"));
+    assert.ok(!anchored.test("src/deep/app.js"));
+});
+
+test("a matched folder covers everything inside it", () => {
+    const rule = compilePattern("dist/");
+
+    assert.ok(rule.test("dist", true));
+    assert.ok(!rule.test("dist", false));
+    assert.ok(rule.test("dist/app.js"));
+});
+
+test("** matches across folders and character classes match one character", () => {
+    assert.ok(compilePattern("src/**/*.ts").test("src/a/b/c.ts"));
+    assert.ok(compilePattern("src/**/*.ts").test("src/c.ts"));
+    assert.ok(compilePattern("file[0-9].txt").test("file3.txt"));
+    assert.ok(!compilePattern("file[!0-9].txt").test("file3.txt"));
+});
+
+test("\"/source/flags\" is a regex unless globOnly is set", () => {
+    assert.equal(compilePattern("/\\.test\\.js$/").type, "regex");
+    assert.ok(compilePattern("/\\.test\\.js$/").test("src/a.test.js"));
+    assert.equal(compilePattern("/tmp/", "", { globOnly: true }).type, "glob");
+});
+
+test("the last matching rule wins and negated rules re-include", () => {
+    const rules = compilePatterns(["logs", "!logs/keep.txt"]);
+
+    assert.ok(matchesRules(rules, "logs/app.log"));
+    assert.ok(!matchesRules(rules, "logs/keep.txt"));
+});
+
+test("patterns that aren't valid once converted are skipped and reported", () => {
+    const skipped = [];
+    const rules = compilePatterns(["[z-a].tmp", "*.log"], "ignore", {
+        onInvalid: (pattern, reason) => skipped.push({ pattern, reason })
+    });
+
+    assert.equal(rules.length, 1);
+    assert.deepEqual(skipped.map(s => s.pattern), ["[z-a].tmp"]);
+    assert.equal(compilePattern("a/[z-a]/b"), null);
+    assert.match(getPatternError("[z-a]"), /out of order/);
+    assert.equal(getPatternError("*.js"), null);
+});
+
+test("resolveDirectory decides whole folders and leaves mixed ones open", () => {
+    const rules = compilePatterns(["/node_modules", "/logs", "!/logs/keep.txt"]);
+
+    assert.equal(resolveDirectory(rules, "node_modules"), true);
+    assert.equal(resolveDirectory(rules, "src"), false);
+    assert.equal(resolveDirectory(rules, "logs"), null);
+
+    // Unanchored globs may match at any depth, so no folder is decided up front
+    assert.equal(resolveDirectory(compilePatterns(["*.log"]), "src"), null);
+});
+
+test("scoped rules only match inside their base folder", () => {
+    const rules = compilePatterns(["*.tmp"], "src/.gitignore", { base: "src", root: "/project" });
+
+    assert.ok(matchesRules(rules, "src/a.tmp"));
+    assert.ok(!matchesRules(rules, "a.tmp"));
+    assert.equal(resolveDirectory(rules, "lib"), false);
+});
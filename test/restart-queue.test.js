@@ -0,0 +1,52 @@
+// ================ IMPORTS ================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createNodeLens } from "../src/nodelens.js";
+
+// ================ HELPERS ================
+
+// Logger that records messages instead of printing them
+function createRecordingLogger() {
+    const messages = [];
+    const logger = new Proxy({}, {
+        get: (_, level) => (...args) => messages.push({ level, text: args.join(" ") })
+    });
+
+    return { logger, messages };
+}
+
+// ================ TESTS ================
+
+test("a failing restart doesn't block the next one", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nodelens-"));
+    fs.writeFileSync(path.join(dir, "server.cjs"), "setInterval(() => {}, 1000);\n");
+
+    const { logger, messages } = createRecordingLogger();
+    const lens = createNodeLens({
+        entry: path.join(dir, "server.cjs"),
+        cwd: dir,
+        configFile: false,
+        // spawn() throws on env values with null bytes, failing the queued start step
+        config: { env: { BROKEN: "a\0b" } },
+        logger
+    });
+
+    try {
+        await lens.start();
+
+        assert.equal(lens.status().running, false);
+        assert.ok(messages.some(m => m.level === "error" && m.text.includes("(re)start failed")));
+
+        lens.override({ env: {} });
+        await lens.restart();
+
+        assert.equal(lens.status().running, true);
+    } finally {
+        await lens.stop({ force: true });
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
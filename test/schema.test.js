@@ -0,0 +1,72 @@
+// ================ IMPORTS ================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatProblem, suggestName, validateConfig } from "../src/schema.js";
+
+// ================ TESTS ================
+
+test("a valid config has no problems", () => {
+    const config = {
+        watch: ["src"],
+        ignore: ["dist/", "*.log"],
+        debounceDelay: 300,
+        rules: [{ match: "*.css", action: "signal", signal: "SIGUSR2" }],
+        ready: { port: 3000, timeout: 5000 },
+        profiles: { debug: { nodeArgs: ["--inspect"] } }
+    };
+
+    assert.deepEqual(validateConfig(config), []);
+});
+
+test("unknown options get a suggestion and their line", () => {
+    const text = "{\n  \"watch\": [\"src\"],\n  \"debounceDeley\": 300\n}";
+    const [problem] = validateConfig(JSON.parse(text), text);
+
+    assert.equal(problem.path, "debounceDeley");
+    assert.equal(problem.line, 3);
+    assert.match(problem.message, /Did you mean "debounceDelay"\?/);
+});
+
+test("types, ranges and enums are checked, also inside profiles", () => {
+    const problems = validateConfig({
+        ignore: "dist",
+        killTimeout: -1,
+        restartOnCrash: "allways",
+        profiles: { prod: { stdin: "pipe" } }
+    });
+
+    assert.deepEqual(problems.map(p => p.path), ["ignore", "killTimeout", "restartOnCrash", "profiles.prod.stdin"]);
+    assert.match(problems[2].message, /Did you mean "always"\?/);
+});
+
+test("patterns that don't compile are reported with their path", () => {
+    const problems = validateConfig({
+        ignore: ["dist", "[z-a]"],
+        watch: ["src/[b-a]/"],
+        rules: [{ match: "[y-x].css", action: "none" }]
+    });
+
+    assert.deepEqual(problems.map(p => p.path), ["ignore[1]", "watch[0]", "rules[0].match"]);
+    assert.match(problems[0].message, /invalid pattern "\[z-a\]"/);
+});
+
+test("problems inside package.json are located under the nodelens key", () => {
+    const text = "{\n  \"name\": \"app\",\n  \"nodelens\": {\n    \"saveLogs\": \"yes\"\n  }\n}";
+    const [problem] = validateConfig(JSON.parse(text).nodelens, text, "nodelens");
+
+    assert.equal(problem.path, "saveLogs");
+    assert.equal(problem.line, 4);
+    assert.equal(formatProblem(problem), "saveLogs (line 4): expected true or false, got \"yes\"");
+});
+
+test("suggestName only suggests close names", () => {
+    assert.equal(suggestName("ignor", ["ignore", "watch"]), "ignore");
+    assert.equal(suggestName("something", ["ignore", "watch"]), null);
+});
+
+test("ready values that can't become a check are reported", () => {
+    assert.deepEqual(validateConfig({ ready: "http://localhost:3000/health" }), []);
+    assert.deepEqual(validateConfig({ ready: { url: "http://[bad" } }).map(p => p.message), ["invalid URL \"http://[bad\""]);
+    assert.match(validateConfig({ ready: "/[/" })[0].message, /invalid regex/);
+});